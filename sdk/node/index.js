@@ -0,0 +1,246 @@
+/**
+ * GeoTrack Analytics - Node.js Server-Side SDK
+ * Report conversions that happen on the server (webhooks, payment callbacks,
+ * API usage). Payloads are built and validated by the same core as the
+ * browser script, so both always send the same schema.
+ */
+
+'use strict';
+
+// The browser script exports its shared core when required from Node
+const core = require('../../static/js/geotrack.js');
+
+const DEFAULTS = {
+    apiUrl:        null,
+    batchSize:     20,
+    flushInterval: 5000,    // ms a partial batch waits before it is sent
+    maxQueueSize:  5000,    // oldest events are dropped beyond this
+    maxRetries:    5,
+    timeout:       10000,   // ms per request
+    currency:      'USD',
+    flushOnExit:   true,    // flush on 'beforeExit' (not on signals - call shutdown())
+    debug:         false,
+    onError:       null     // (error, events) => {} - default logs to console.error
+};
+
+// Context fields a server event gets unless the caller provides them
+const SERVER_CONTEXT = {
+    consent_state: 'not_required',
+    id_type:       'server'
+};
+
+function sleep(ms, unref) {
+    return new Promise(resolve => {
+        const timer = setTimeout(resolve, ms);
+        if (unref) timer.unref();
+    });
+}
+
+class GeoTrack {
+    constructor(options = {}) {
+        if (!options.siteKey) throw new Error('[GeoTrack] siteKey is required');
+        if (!options.apiUrl) throw new Error('[GeoTrack] apiUrl is required');
+
+        this.config   = Object.assign({}, DEFAULTS, options);
+        this.queue    = [];
+        this.inFlight = null;   // promise of the running flush
+        this.timer    = null;
+        this.closed   = false;
+
+        this.ecommerce = {
+            viewItem:      (details, context) => this.sendCommerce('view_item', details, context),
+            addToCart:     (details, context) => this.sendCommerce('add_to_cart', details, context),
+            beginCheckout: (details, context) => this.sendCommerce('begin_checkout', details, context),
+            purchase:      (details, context) => this.purchase(details, context)
+        };
+
+        // Events still queued when the event loop empties
+        this.onBeforeExit = () => {
+            if (this.queue.length && !this.inFlight) this.flush();
+        };
+        if (this.config.flushOnExit) process.on('beforeExit', this.onBeforeExit);
+    }
+
+    // ============================================
+    // EVENTS
+    // ============================================
+
+    // context - who and where: user_id (as passed to identify() in the
+    // browser), session_id (GeoTrack.getSession().id), visitor_hash, url,
+    // referrer, language ... plus event_id (idempotency key) and timestamp
+    track(eventName, eventData = {}, context = {}) {
+        return this.send('custom', {
+            event_name: eventName,
+            event_data: eventData
+        }, context);
+    }
+
+    identify(userId, traits = {}, context = {}) {
+        if (userId == null || userId === '') {
+            console.error('[GeoTrack] identify() requires a user ID');
+            return null;
+        }
+
+        return this.send('custom', {
+            event_name: 'identify',
+            event_data: traits
+        }, Object.assign({}, context, { user_id: String(userId) }));
+    }
+
+    sendCommerce(eventName, details, context = {}) {
+        return this.send('custom', {
+            event_name: eventName,
+            event_data: core.getCommerceData(details, this.config.currency)
+        }, context);
+    }
+
+    // Retried webhooks - pass a stable context.event_id so the backend dedupes them
+    purchase(details, context = {}) {
+        const eventData = core.getPurchaseData(details, this.config.currency);
+        if (!eventData) {
+            console.error('[GeoTrack] purchase() requires an order_id');
+            return null;
+        }
+
+        return this.send('custom', {
+            event_name: 'purchase',
+            event_data: eventData
+        }, context);
+    }
+
+    // Build, validate and queue one event - returns the payload
+    send(eventType, eventData, context = {}) {
+        if (this.closed) {
+            console.error('[GeoTrack] Event after shutdown() ignored:', eventData.event_name);
+            return null;
+        }
+
+        const timestamp = context.timestamp instanceof Date ? context.timestamp.toISOString() : context.timestamp;
+        const payload = core.buildPayload(eventType, eventData,
+            Object.assign({}, SERVER_CONTEXT, context, { timestamp: timestamp }));
+
+        if (this.config.debug) {
+            console.log('[GeoTrack] 📤 Queued event:', eventType, payload);
+            core.validatePayload(payload).forEach(warning => {
+                console.warn('[GeoTrack] ⚠️ ' + warning);
+            });
+        }
+
+        this.enqueue(payload);
+        return payload;
+    }
+
+    // ============================================
+    // TRANSPORT - in-memory queue, batching, retry
+    // ============================================
+
+    enqueue(payload) {
+        this.queue.push(payload);
+
+        // Drop the oldest events rather than grow without bound while the API is down
+        if (this.queue.length > this.config.maxQueueSize) {
+            const dropped = this.queue.splice(0, this.queue.length - this.config.maxQueueSize);
+            this.reportError(new Error('Queue full - dropped ' + dropped.length + ' events'), dropped);
+        }
+
+        if (this.queue.length >= this.config.batchSize) {
+            this.flush();
+        } else if (!this.timer) {
+            // Never keeps the process alive - 'beforeExit' picks up what's left
+            this.timer = setTimeout(() => this.flush(), this.config.flushInterval);
+            this.timer.unref();
+        }
+    }
+
+    // Send everything queued - resolves once every batch was accepted,
+    // rejected or ran out of retries. Never rejects.
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        if (!this.inFlight) {
+            this.inFlight = this.drain().finally(() => {
+                this.inFlight = null;
+            });
+        }
+        return this.inFlight;
+    }
+
+    async drain() {
+        while (this.queue.length) {
+            await this.sendBatch(this.queue.splice(0, this.config.batchSize));
+        }
+    }
+
+    async sendBatch(batch) {
+        for (let attempt = 0; ; attempt++) {
+            let error;
+            try {
+                const res = await fetch(core.getCollectUrl(this.config.apiUrl, 'batch'), {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-Site-Key':   this.config.siteKey
+                    },
+                    body: core.serializeBatch(this.config.siteKey, batch),
+                    signal: AbortSignal.timeout(this.config.timeout)
+                });
+
+                if (res.ok) {
+                    if (this.config.debug) console.log('[GeoTrack] ✅ Batch saved:', batch.length);
+                    return;
+                }
+
+                error = new Error('HTTP ' + res.status);
+                error.status = res.status;
+                if (!core.isRetryableStatus(res.status)) {
+                    this.reportError(error, batch);
+                    return;
+                }
+            } catch (err) {
+                // Network error or timeout
+                error = err;
+            }
+
+            if (attempt >= this.config.maxRetries) {
+                this.reportError(error, batch);
+                return;
+            }
+
+            const delay = core.getRetryDelay(attempt);
+            if (this.config.debug) {
+                console.log('[GeoTrack] ⏳ Retrying in ' + Math.round(delay / 1000) + 's (' + error.message + ')');
+            }
+            await sleep(delay);
+        }
+    }
+
+    reportError(error, events) {
+        if (typeof this.config.onError === 'function') {
+            try {
+                this.config.onError(error, events);
+            } catch (err) {
+                // A broken handler must never break tracking
+            }
+            return;
+        }
+        console.error('[GeoTrack] ❌ ' + events.length + ' events not delivered:', error.message);
+    }
+
+    // Call from SIGTERM/SIGINT handlers - flushes, then stops accepting events.
+    // Gives up after `timeout` ms so a dead API can't hold up the shutdown.
+    async shutdown(timeout = 10000) {
+        this.closed = true;
+        process.removeListener('beforeExit', this.onBeforeExit);
+
+        await Promise.race([this.flush(), sleep(timeout, true)]);
+
+        if (this.queue.length || this.inFlight) {
+            console.error('[GeoTrack] ❌ Shutdown timed out with events still queued');
+        }
+    }
+}
+
+module.exports = GeoTrack;
+module.exports.GeoTrack = GeoTrack;
+module.exports.core = core;
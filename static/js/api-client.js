@@ -11,6 +11,7 @@ class GeoTrackAPI {
         this.cache = new Map();
         this.pendingRequests = new Map();
         this.refreshPromise = null;
+        this.filters = this.loadFilters();
     }
 
     detectBaseUrl() {
@@ -81,6 +82,7 @@ class GeoTrackAPI {
             cache = false,
             cacheTTL = 60000, // 1 minute default
             skipAuth = false,
+            silent = false, // no error toast - for background polling
         } = options;
 
         // Check cache
@@ -157,7 +159,7 @@ class GeoTrackAPI {
 
             } catch (error) {
                 console.error('API Error:', error);
-                this.showToast(error.message, 'error');
+                if (!silent) this.showToast(error.message, 'error');
                 throw error;
             } finally {
                 this.pendingRequests.delete(cacheKey);
@@ -252,42 +254,83 @@ class GeoTrackAPI {
     // ============================================
 
     async getOverview(params = {}) {
-        const qs = this.buildQuery(params);
+        const qs = this.buildAnalyticsQuery(params);
         return this.get(`/api/v1/analytics/overview${qs}`, { cache: true, cacheTTL: 30000 });
     }
 
     async getGeo(params = {}) {
-        const qs = this.buildQuery(params);
+        const qs = this.buildAnalyticsQuery(params);
         return this.get(`/api/v1/analytics/geo${qs}`, { cache: true, cacheTTL: 30000 });
     }
 
     async getTrends(params = {}) {
-        const qs = this.buildQuery(params);
+        const qs = this.buildAnalyticsQuery(params);
         return this.get(`/api/v1/analytics/trends${qs}`, { cache: true, cacheTTL: 30000 });
     }
 
+    async getCampaigns(params = {}) {
+        const qs = this.buildAnalyticsQuery(params);
+        return this.get(`/api/v1/analytics/campaigns${qs}`, { cache: true, cacheTTL: 30000 });
+    }
+
+    async getHeatmap(params = {}) {
+        const qs = this.buildAnalyticsQuery(params);
+        return this.get(`/api/v1/analytics/heatmap${qs}`, { cache: true, cacheTTL: 60000 });
+    }
+
+    async getImpressions(params = {}) {
+        const qs = this.buildAnalyticsQuery(params);
+        return this.get(`/api/v1/analytics/impressions${qs}`, { cache: true, cacheTTL: 30000 });
+    }
+
+    async getExperiments(params = {}) {
+        const qs = this.buildAnalyticsQuery(params);
+        return this.get(`/api/v1/analytics/experiments${qs}`, { cache: true, cacheTTL: 60000 });
+    }
+
+    async getExperimentResults(name, params = {}) {
+        const qs = this.buildAnalyticsQuery(params);
+        return this.get(`/api/v1/analytics/experiments/${encodeURIComponent(name)}${qs}`, { cache: true, cacheTTL: 60000 });
+    }
+
     async getFlows(params = {}) {
-        const qs = this.buildQuery(params);
+        const qs = this.buildAnalyticsQuery(params);
         return this.get(`/api/v1/analytics/flows${qs}`, { cache: true, cacheTTL: 30000 });
     }
 
     async getLogs(params = {}) {
-        const qs = this.buildQuery(params);
+        const qs = this.buildAnalyticsQuery(params);
         return this.get(`/api/v1/analytics/logs${qs}`);
     }
 
+    // Live data ignores the date range - only the site filter applies
     async getLive(params = {}) {
-        const qs = this.buildQuery(params);
+        const qs = this.buildQuery({ site_id: this.filters.site, ...params });
         return this.get(`/api/v1/analytics/live${qs}`);
     }
 
+    async getPerformance(params = {}) {
+        const qs = this.buildAnalyticsQuery(params);
+        return this.get(`/api/v1/analytics/performance${qs}`, { cache: true, cacheTTL: 60000 });
+    }
+
+    async getRevenue(params = {}) {
+        const qs = this.buildAnalyticsQuery(params);
+        return this.get(`/api/v1/analytics/revenue${qs}`, { cache: true, cacheTTL: 30000 });
+    }
+
+    async getErrors(params = {}) {
+        const qs = this.buildAnalyticsQuery(params);
+        return this.get(`/api/v1/analytics/errors${qs}`, { cache: true, cacheTTL: 30000 });
+    }
+
     async getReturningVisitors(params = {}) {
-        const qs = this.buildQuery(params);
+        const qs = this.buildAnalyticsQuery(params);
         return this.get(`/api/v1/analytics/returning-visitors${qs}`, { cache: true, cacheTTL: 60000 });
     }
 
     async exportCSV(params = {}) {
-        const qs = this.buildQuery(params);
+        const qs = this.buildAnalyticsQuery(params);
         const blob = await this.get(`/api/v1/analytics/export${qs}`);
         this.downloadFile(blob, `geotrack-export-${Date.now()}.csv`);
     }
@@ -380,6 +423,523 @@ class GeoTrackAPI {
         return this.get(`/api/v1/admin/audit-logs${this.buildQuery(params)}`);
     }
 
+    // ============================================
+    // FILTERS - site, date range and comparison shared by every analytics view
+    // ============================================
+
+    // Kept in the page URL (?site=&range=&from=&to=&compare=&compare_from=&compare_to=)
+    // so views can be bookmarked and shared, and in localStorage so they follow navigation
+    defaultFilters() {
+        return { site: '', range: '30', from: null, to: null, compare: 'none', compare_from: null, compare_to: null };
+    }
+
+    normalizeFilters(raw) {
+        const filters = this.defaultFilters();
+        const isDate = v => /^\d{4}-\d{2}-\d{2}$/.test(v || '') && !isNaN(new Date(v + 'T00:00:00Z'));
+
+        if (raw.site) filters.site = String(raw.site);
+        if (['7', '30', '90', 'custom'].includes(String(raw.range))) filters.range = String(raw.range);
+        if (['previous', 'year', 'custom'].includes(raw.compare)) filters.compare = raw.compare;
+
+        if (filters.range === 'custom') {
+            if (!isDate(raw.from) || !isDate(raw.to)) {
+                filters.range = this.defaultFilters().range;
+            } else {
+                [filters.from, filters.to] = raw.from <= raw.to ? [raw.from, raw.to] : [raw.to, raw.from];
+            }
+        }
+
+        if (filters.compare === 'custom') {
+            if (!isDate(raw.compare_from) || !isDate(raw.compare_to)) {
+                filters.compare = this.defaultFilters().compare;
+            } else {
+                [filters.compare_from, filters.compare_to] = raw.compare_from <= raw.compare_to
+                    ? [raw.compare_from, raw.compare_to]
+                    : [raw.compare_to, raw.compare_from];
+            }
+        }
+        return filters;
+    }
+
+    // URL wins over the stored state, so shared links show what was shared
+    loadFilters() {
+        const params = new URLSearchParams(window.location.search);
+        if (['site', 'range', 'from', 'to', 'compare', 'compare_from', 'compare_to'].some(key => params.has(key))) {
+            return this.normalizeFilters(Object.fromEntries(params));
+        }
+
+        try {
+            return this.normalizeFilters(JSON.parse(localStorage.getItem('gt_filters')) || {});
+        } catch (e) {
+            return this.defaultFilters();
+        }
+    }
+
+    getFilters() {
+        return { ...this.filters };
+    }
+
+    setFilters(changes) {
+        this.filters = this.normalizeFilters({ ...this.filters, ...changes });
+        // Storage can be full or blocked (private mode) - the URL still keeps the filters
+        try {
+            localStorage.setItem('gt_filters', JSON.stringify(this.filters));
+        } catch (e) {
+            // Not remembered for the next visit, nothing else to do
+        }
+        this.writeFilterUrl();
+        this.dispatchEvent('filters:change', this.getFilters());
+    }
+
+    writeFilterUrl() {
+        const url = new URL(window.location.href);
+        const { site, range, from, to, compare } = this.filters;
+        const values = {
+            site:         site || null,
+            range:        range,
+            from:         range === 'custom' ? from : null,
+            to:           range === 'custom' ? to : null,
+            compare:      compare !== 'none' ? compare : null,
+            compare_from: compare === 'custom' ? this.filters.compare_from : null,
+            compare_to:   compare === 'custom' ? this.filters.compare_to : null
+        };
+
+        Object.entries(values).forEach(([key, value]) => {
+            if (value) url.searchParams.set(key, value);
+            else url.searchParams.delete(key);
+        });
+        history.replaceState(history.state, '', url);
+    }
+
+    // UTC calendar days, the same way getDateRange() counts them
+    shiftDate(date, days = 0, years = 0) {
+        const d = new Date(date + 'T00:00:00Z');
+        d.setUTCFullYear(d.getUTCFullYear() + years);
+        d.setUTCDate(d.getUTCDate() + days);
+        return d.toISOString().split('T')[0];
+    }
+
+    // { start_date, end_date } of the selected period
+    getFilterRange() {
+        const { range, from, to } = this.filters;
+        return range === 'custom' ? { start_date: from, end_date: to } : this.getDateRange(parseInt(range));
+    }
+
+    // Same-length period right before the selected one, the same dates a year
+    // earlier, or the custom comparison range - null without a comparison
+    getComparisonRange() {
+        const { start_date, end_date } = this.getFilterRange();
+        if (this.filters.compare === 'custom') {
+            return { start_date: this.filters.compare_from, end_date: this.filters.compare_to };
+        }
+        if (this.filters.compare === 'year') {
+            return { start_date: this.shiftDate(start_date, 0, -1), end_date: this.shiftDate(end_date, 0, -1) };
+        }
+        if (this.filters.compare !== 'previous') return null;
+
+        return this.getPreviousPeriod({ start_date, end_date });
+    }
+
+    getPreviousPeriod({ start_date, end_date }) {
+        const length = Math.round((new Date(end_date) - new Date(start_date)) / 86400000) + 1;
+        return { start_date: this.shiftDate(start_date, -length), end_date: this.shiftDate(start_date, -1) };
+    }
+
+    getFilterParams() {
+        const { start_date, end_date } = this.getFilterRange();
+        const params = {
+            site_id: this.filters.site,
+            start_date,
+            end_date,
+            days: this.filters.range !== 'custom' ? this.filters.range : null
+        };
+
+        const comparison = this.getComparisonRange();
+        if (comparison) {
+            params.compare = this.filters.compare;
+            params.compare_start_date = comparison.start_date;
+            params.compare_end_date = comparison.end_date;
+        }
+        return params;
+    }
+
+    // Filter params with the comparison period as the date range
+    getComparisonParams() {
+        const comparison = this.getComparisonRange();
+        if (!comparison) return null;
+        return {
+            ...comparison,
+            days:               null,
+            compare:            null,
+            compare_start_date: null,
+            compare_end_date:   null
+        };
+    }
+
+    // 'previous period', 'last year' or the custom dates - for legends and tooltips
+    getComparisonLabel() {
+        const { compare } = this.filters;
+        if (compare === 'previous') return 'previous period';
+        if (compare === 'year') return 'last year';
+        if (compare !== 'custom') return null;
+
+        const { start_date, end_date } = this.getComparisonRange();
+        return `${this.formatDate(start_date + 'T00:00:00')} - ${this.formatDate(end_date + 'T00:00:00')}`;
+    }
+
+    // Comparison rows lined up with the current rows day by day, so index i of
+    // both is the same day of their period. Missing days are null.
+    alignComparison(currentRows, previousRows) {
+        const current = this.getFilterRange();
+        const comparison = this.getComparisonRange();
+        if (!comparison || !previousRows) return null;
+
+        const byDate = {};
+        previousRows.forEach(row => { byDate[String(row.date).slice(0, 10)] = row; });
+
+        const offset = Math.round((new Date(comparison.start_date) - new Date(current.start_date)) / 86400000);
+        return currentRows.map(row => {
+            const date = String(row.date).slice(0, 10);
+            const previousDate = this.filters.compare === 'year' ? this.shiftDate(date, 0, -1) : this.shiftDate(date, offset);
+            return byDate[previousDate] || null;
+        });
+    }
+
+    // Explicit params win over the filter bar
+    buildAnalyticsQuery(params = {}) {
+        return this.buildQuery({ ...this.getFilterParams(), ...params });
+    }
+
+    // Runs an analytics call for the selected period and, when the filter bar
+    // has a comparison, again for the comparison period: { current, previous }
+    async withComparison(request, params = {}) {
+        const comparison = this.getComparisonParams();
+        const [current, previous] = await Promise.all([
+            request.call(this, params),
+            // A failed comparison only costs the deltas, not the view
+            comparison ? request.call(this, { ...comparison, ...params }).catch(error => {
+                console.error('Comparison period error:', error);
+                return null;
+            }) : null
+        ]);
+        return { current, previous };
+    }
+
+    // Chart.js dataset for the comparison period - a dashed, unfilled copy of a series
+    comparisonDataset(label, data, color) {
+        return {
+            label: `${label} (${this.getComparisonLabel()})`,
+            data: data,
+            borderColor: color,
+            borderDash: [6, 4],
+            borderWidth: 1.5,
+            pointRadius: 0,
+            tension: 0.4,
+            fill: false,
+            spanGaps: true
+        };
+    }
+
+    // Absolute and percentage change - percent is null when previous is 0
+    getChange(current, previous) {
+        if (current == null || previous == null) return null;
+        const delta = current - previous;
+        return { delta, percent: previous ? delta / previous * 100 : null };
+    }
+
+    // Renders the filter bar into #filter-bar, if the page has one
+    async initFilterBar() {
+        const container = document.getElementById('filter-bar');
+        if (!container) return;
+
+        const today = new Date().toISOString().split('T')[0];
+        container.classList.add('flex', 'gap-3');
+        container.style.alignItems = 'center';
+        container.style.flexWrap = 'wrap';
+        container.innerHTML = `
+            <select id="filter-bar-site" class="form-select" style="width: auto;">
+                <option value="">All Sites</option>
+            </select>
+            <select id="filter-bar-range" class="form-select" style="width: auto;">
+                <option value="7">Last 7 days</option>
+                <option value="30">Last 30 days</option>
+                <option value="90">Last 90 days</option>
+                <option value="custom">Custom range</option>
+            </select>
+            <span id="filter-bar-dates" class="flex gap-2" style="align-items: center;">
+                <input type="date" id="filter-bar-from" class="form-input" style="width: auto;" max="${today}">
+                <span style="color: var(--color-text-tertiary);">→</span>
+                <input type="date" id="filter-bar-to" class="form-input" style="width: auto;" max="${today}">
+            </span>
+            <select id="filter-bar-compare" class="form-select" style="width: auto;">
+                <option value="none">No comparison</option>
+                <option value="previous">vs previous period</option>
+                <option value="year">vs previous year</option>
+                <option value="custom">vs custom range</option>
+            </select>
+            <span id="filter-bar-compare-dates" class="flex gap-2" style="align-items: center;">
+                <input type="date" id="filter-bar-compare-from" class="form-input" style="width: auto;" max="${today}">
+                <span style="color: var(--color-text-tertiary);">→</span>
+                <input type="date" id="filter-bar-compare-to" class="form-input" style="width: auto;" max="${today}">
+            </span>
+        `;
+
+        const site = document.getElementById('filter-bar-site');
+        const range = document.getElementById('filter-bar-range');
+        const from = document.getElementById('filter-bar-from');
+        const to = document.getElementById('filter-bar-to');
+        const compare = document.getElementById('filter-bar-compare');
+        const compareFrom = document.getElementById('filter-bar-compare-from');
+        const compareTo = document.getElementById('filter-bar-compare-to');
+
+        const render = () => {
+            const filters = this.filters;
+            const { start_date, end_date } = this.getFilterRange();
+            site.value = filters.site;
+            range.value = filters.range;
+            from.value = start_date;
+            to.value = end_date;
+            compare.value = filters.compare;
+            document.getElementById('filter-bar-dates').style.display = filters.range === 'custom' ? 'flex' : 'none';
+
+            // Custom comparison starts from the previous period
+            const comparison = this.getComparisonRange() || this.getPreviousPeriod(this.getFilterRange());
+            compareFrom.value = comparison.start_date;
+            compareTo.value = comparison.end_date;
+            document.getElementById('filter-bar-compare-dates').style.display = filters.compare === 'custom' ? 'flex' : 'none';
+        };
+
+        site.addEventListener('change', () => this.setFilters({ site: site.value }));
+        compare.addEventListener('change', () => {
+            if (compare.value === 'custom') {
+                this.setFilters({ compare: 'custom', compare_from: compareFrom.value, compare_to: compareTo.value });
+            } else {
+                this.setFilters({ compare: compare.value });
+            }
+        });
+        range.addEventListener('change', () => {
+            // Custom starts from the dates currently shown
+            if (range.value === 'custom') this.setFilters({ range: 'custom', from: from.value, to: to.value });
+            else this.setFilters({ range: range.value });
+        });
+        [from, to].forEach(input => input.addEventListener('change', () => {
+            if (from.value && to.value) this.setFilters({ range: 'custom', from: from.value, to: to.value });
+        }));
+        [compareFrom, compareTo].forEach(input => input.addEventListener('change', () => {
+            if (compareFrom.value && compareTo.value) {
+                this.setFilters({ compare: 'custom', compare_from: compareFrom.value, compare_to: compareTo.value });
+            }
+        }));
+        this.on('filters:change', render);
+
+        render();
+        this.writeFilterUrl();
+
+        try {
+            const sites = await this.getSites();
+            site.innerHTML = '<option value="">All Sites</option>' + (sites || []).map(s => {
+                const option = document.createElement('option');
+                option.value = s.id;
+                option.textContent = s.name ? `${s.domain} (${s.name})` : s.domain;
+                return option.outerHTML;
+            }).join('');
+
+            // Bookmarked site that this user can no longer see
+            if (this.filters.site && !(sites || []).some(s => String(s.id) === this.filters.site)) {
+                this.setFilters({ site: '' });
+            }
+            render();
+        } catch (error) {
+            console.error('Load sites for filter bar error:', error);
+        }
+    }
+
+    // ============================================
+    // SUBSCRIPTIONS - live updates over Server-Sent Events, polling as fallback
+    // ============================================
+
+    // SSE endpoint of each channel, and the endpoint polled when streaming
+    // isn't available. Both answer with { events: [...], active_visitors }.
+    // EventSource can't send an Authorization header, so each connection first
+    // trades the token for a short-lived, single-use ticket ({ ticket }) that
+    // goes in the stream URL - the token itself never lands in access logs.
+    subscriptionChannels() {
+        return {
+            live: {
+                ticket: '/api/v1/analytics/live/ticket',
+                stream: '/api/v1/analytics/live/stream',
+                poll:   '/api/v1/analytics/live'
+            }
+        };
+    }
+
+    // API.subscribe('live', { event_type: 'pageview' }, update => ...)
+    // calls back with new events only. filters.since (ISO timestamp) skips
+    // what the page already has. Returns { pause, resume, close }.
+    subscribe(channel, filters = {}, callback, options = {}) {
+        const config = this.subscriptionChannels()[channel];
+        if (!config) throw new Error(`Unknown subscription channel: ${channel}`);
+
+        const {
+            onStatus = () => {},       // 'connecting', 'streaming', 'reconnecting', 'polling', 'paused', 'closed'
+            pollInterval = 5000,
+            maxPollInterval = 60000,
+            maxStreamFailures = 3,     // consecutive stream errors before falling back to polling
+            pauseWhenHidden = true,
+        } = options;
+
+        const { since = null, ...params } = { site_id: this.filters.site, ...filters };
+        const state = {
+            mode: window.EventSource ? 'stream' : 'polling',
+            active: false,
+            held: false,               // paused by the page, not by a hidden tab
+            source: null,
+            timer: null,
+            run: 0,                    // bumped by stop() - stale fetches and tickets are dropped
+            failures: 0,
+            delay: pollInterval,
+            since: since
+        };
+
+        // Newest timestamp seen - reconnects and polls ask for what came after it
+        const deliver = (data, dedupe) => {
+            const events = (data && data.events) || [];
+            const fresh = dedupe && state.since ? events.filter(e => e.timestamp > state.since) : events;
+            events.forEach(e => {
+                if (e.timestamp && (!state.since || e.timestamp > state.since)) state.since = e.timestamp;
+            });
+
+            try {
+                callback({ ...data, events: fresh });
+            } catch (error) {
+                console.error('Subscription callback error:', error);
+            }
+        };
+
+        const stop = () => {
+            state.run++;
+            clearTimeout(state.timer);
+            state.timer = null;
+            if (state.source) {
+                state.source.close();
+                state.source = null;
+            }
+        };
+
+        const poll = async () => {
+            const run = state.run;
+            state.timer = null;
+            try {
+                const qs = this.buildQuery({ ...params, since: state.since });
+                const data = await this.get(`${config.poll}${qs}`, { silent: true });
+                // Paused, resumed or closed while in flight - that run owns the timer now
+                if (run !== state.run) return;
+                state.delay = pollInterval;
+                deliver(data, true);
+            } catch (error) {
+                if (run !== state.run) return;
+                // Back off while the API is down
+                state.delay = Math.min(state.delay * 2, maxPollInterval);
+            }
+            if (state.active && state.mode === 'polling') state.timer = setTimeout(poll, state.delay);
+        };
+
+        const startPolling = () => {
+            stop();
+            state.mode = 'polling';
+            onStatus('polling');
+            poll();
+        };
+
+        // Every error closes the source and reconnects with a fresh ticket -
+        // the browser's own retry would reuse the spent one
+        const retry = () => {
+            stop();
+            state.failures++;
+            if (state.failures >= maxStreamFailures) {
+                startPolling();
+                return;
+            }
+            onStatus('reconnecting');
+            state.timer = setTimeout(connect, Math.min(1000 * 2 ** state.failures, 30000));
+        };
+
+        const connect = async () => {
+            const run = state.run;
+            state.timer = null;
+            onStatus(state.failures ? 'reconnecting' : 'connecting');
+
+            let ticket;
+            try {
+                ({ ticket } = await this.post(config.ticket, null, { silent: true }));
+            } catch (error) {
+                if (run === state.run) retry();
+                return;
+            }
+            if (run !== state.run) return;
+
+            const qs = this.buildQuery({ ...params, since: state.since, ticket: ticket });
+            const source = new EventSource(`${this.baseUrl}${config.stream}${qs}`);
+            state.source = source;
+
+            source.onopen = () => {
+                state.failures = 0;
+                onStatus('streaming');
+            };
+            source.onmessage = e => {
+                try {
+                    deliver(JSON.parse(e.data), false);
+                } catch (error) {
+                    console.error('Subscription message error:', error);
+                }
+            };
+            source.onerror = () => {
+                if (run === state.run) retry();
+            };
+        };
+
+        const resume = () => {
+            if (state.active) return;
+            state.active = true;
+            if (state.mode === 'stream') connect();
+            else startPolling();
+        };
+
+        const pause = (status = 'paused') => {
+            if (!state.active) return;
+            state.active = false;
+            stop();
+            onStatus(status);
+        };
+
+        // Hidden tabs don't need live data - catch up from `since` on return
+        const onVisibilityChange = () => {
+            if (document.hidden) pause();
+            else if (!state.held) resume();
+        };
+
+        const close = () => {
+            state.held = true;
+            pause('closed');
+            document.removeEventListener('visibilitychange', onVisibilityChange);
+        };
+
+        if (pauseWhenHidden) document.addEventListener('visibilitychange', onVisibilityChange);
+        if (!pauseWhenHidden || !document.hidden) resume();
+
+        return {
+            pause: () => {
+                state.held = true;
+                pause();
+            },
+            resume: () => {
+                state.held = false;
+                resume();
+            },
+            close
+        };
+    }
+
     // ============================================
     // UTILITIES
     // ============================================
@@ -389,12 +949,37 @@ class GeoTrackAPI {
         return entries.length ? '?' + entries.map(([k, v]) => `${k}=${encodeURIComponent(v)}`).join('&') : '';
     }
 
+    // Event data (URLs, messages, UTM values...) is visitor-controlled - run it
+    // through this before it goes into innerHTML or an attribute
+    escapeHtml(text) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return (text == null ? '' : String(text)).replace(/[&<>"']/g, c => entities[c]);
+    }
+
     formatNumber(n) {
         if (n >= 1000000) return (n / 1000000).toFixed(1) + 'M';
         if (n >= 1000) return (n / 1000).toFixed(1) + 'K';
         return String(n);
     }
 
+    formatDuration(seconds) {
+        if (seconds == null) return '-';
+        const s = Math.round(seconds);
+        if (s < 60) return `${s}s`;
+        const m = Math.floor(s / 60);
+        if (m < 60) return `${m}m ${s % 60}s`;
+        return `${Math.floor(m / 60)}h ${m % 60}m`;
+    }
+
+    formatCurrency(amount, currency = 'USD') {
+        if (amount == null) return '-';
+        try {
+            return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+        } catch (e) {
+            return `${Number(amount).toFixed(2)} ${currency}`;
+        }
+    }
+
     formatDate(d) {
         return new Date(d).toLocaleDateString('en-US', { 
             month: 'short', 
@@ -673,7 +1258,9 @@ window.API = new GeoTrackAPI();
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', () => {
         window.API.initSidebar();
+        window.API.initFilterBar();
     });
 } else {
     window.API.initSidebar();
+    window.API.initFilterBar();
 }
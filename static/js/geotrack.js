@@ -271,289 +271,3432 @@
 (function() {
     'use strict';
 
-    // Configuration
-    const config = {
-        siteKey: null,
-        apiUrl: null,
-        debug: false,
-        autoTrack: true,
-        trackOutbound: true,
-        respectDNT: true
-    };
+    // ============================================
+    // CORE - payload schema, validation and delivery rules shared with the
+    // Node SDK (sdk/node), which loads this file for the core only
+    // ============================================
+
+    const EVENT_TYPES = ['pageview', 'click', 'custom'];
+
+    // Every payload has exactly these fields, in this order, plus the event's
+    // own (event_name, event_data, ...) - whatever the sender doesn't know is null
+    const PAYLOAD_FIELDS = [
+        'event_id', 'event_type', 'url', 'page_title', 'referrer', 'consent_state',
+        'session_id', 'session_pageviews', 'is_entry', 'attribution', 'experiments',
+        'visitor_hash', 'user_id', 'id_type', 'device_type',
+        'browser', 'browser_version', 'os', 'os_version', 'device_model',
+        'screen_width', 'screen_height', 'language', 'bot_score', 'bot_signals', 'timestamp'
+    ];
+
+    const MAX_EVENT_DATA_SIZE = 8192;
+    const MAX_ITEMS  = 50;
+    const RETRY_BASE = 1000;
+    const RETRY_MAX  = 60000;
+
+    // Unique event ID - lets the backend dedupe retried deliveries
+    function generateId() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+        return Date.now().toString(36) + Math.random().toString(36).substring(2, 10);
+    }
 
-    // Get site key from script tag
-    function init() {
-        const script = document.currentScript || document.querySelector('script[data-site-key]');
-        if (!script) {
-            console.error('[GeoTrack] Script tag not found');
-            return;
-        }
+    // context - the page/visitor/device fields the sender knows
+    function buildPayload(eventType, eventData, context) {
+        const payload = {};
+        PAYLOAD_FIELDS.forEach(function(field) {
+            payload[field] = context[field] === undefined ? null : context[field];
+        });
 
-        config.siteKey  = script.getAttribute('data-site-key');
-        config.apiUrl   = script.getAttribute('data-api-url') || detectApiUrl();
-        config.debug    = script.getAttribute('data-debug') === 'true';
-        config.autoTrack = script.getAttribute('data-auto-track') !== 'false';
+        payload.event_id   = context.event_id || generateId();
+        payload.event_type = eventType;
+        payload.timestamp  = context.timestamp || new Date().toISOString();
+        return Object.assign(payload, eventData);
+    }
 
-        if (!config.siteKey) {
-            console.error('[GeoTrack] Site key is required');
-            return;
-        }
+    // Common mistakes - reported, never blocking
+    function validatePayload(payload) {
+        const warnings = [];
 
-        if (config.debug) {
-            console.log('[GeoTrack] ✅ Initialized:', {
-                siteKey: config.siteKey,
-                apiUrl:  config.apiUrl
-            });
+        if (EVENT_TYPES.indexOf(payload.event_type) === -1) {
+            warnings.push('event_type "' + payload.event_type + '" is not one of ' + EVENT_TYPES.join(', '));
+        }
+        if (!payload.session_id && !payload.visitor_hash && !payload.user_id) {
+            warnings.push('session_id, visitor_hash and user_id are all missing - the event can\'t be tied to a visitor');
         }
 
-        // Check Do Not Track
-        if (config.respectDNT && navigator.doNotTrack === '1') {
-            if (config.debug) console.log('[GeoTrack] DNT enabled, tracking disabled');
-            return;
+        if (payload.event_type !== 'pageview') {
+            if (!payload.event_name) {
+                warnings.push('event_name is missing');
+            } else if (typeof payload.event_name !== 'string') {
+                warnings.push('event_name should be a string');
+            } else if (!/^[a-z0-9_]+$/.test(payload.event_name)) {
+                warnings.push('event_name "' + payload.event_name + '" is not snake_case');
+            }
         }
 
-        // Auto-track pageview
-        if (config.autoTrack) {
-            trackPageview();
+        const data = payload.event_data;
+        if (data === undefined || data === null) return warnings;
+        if (typeof data !== 'object' || Array.isArray(data)) {
+            warnings.push('event_data should be an object');
+            return warnings;
         }
 
-        // Track outbound links
-        if (config.trackOutbound) {
-            setupOutboundTracking();
+        Object.keys(data).forEach(function(key) {
+            const type = typeof data[key];
+            if (type === 'undefined' || type === 'function') {
+                warnings.push('event_data.' + key + ' is ' + type + ' and will be dropped');
+            }
+        });
+
+        try {
+            const size = JSON.stringify(data).length;
+            if (size > MAX_EVENT_DATA_SIZE) warnings.push('event_data is ' + Math.round(size / 1024) + ' KB - keep events small');
+        } catch (err) {
+            warnings.push('event_data is not JSON-serializable');
         }
+        return warnings;
+    }
 
-        // Track page visibility
-        setupVisibilityTracking();
+    function parseCurrency(value) {
+        return /^[A-Za-z]{3}$/.test(value || '') ? value.toUpperCase() : null;
     }
 
-    // ✅ FIXED: Detect API URL based on environment
-    function detectApiUrl() {
-        const hostname = window.location.hostname;
-        
-        // Local development
-        if (hostname === 'localhost' || hostname === '127.0.0.1') {
-            return 'http://localhost:8000';
-        }
-        
-        // ✅ PRODUCTION: Backend URL
-        // data-api-url attribute se aayega - yahan fallback hai
-        // Yeh tab use hoga jab data-api-url attribute missing ho
-        return '__VITE_API_URL__' ||'https://unhypothecated-archer-unmovingly.ngrok-free.dev'; // fallback
+    function parseAmount(value) {
+        const amount = parseFloat(value);
+        return isFinite(amount) ? Math.round(amount * 100) / 100 : null;
+    }
+
+    function normalizeItem(item) {
+        const normalized = {
+            item_id:   String(item.item_id || item.id || '').substring(0, 100),
+            item_name: String(item.item_name || item.name || '').substring(0, 200),
+            price:     parseAmount(item.price),
+            quantity:  Math.max(1, parseInt(item.quantity, 10) || 1)
+        };
+        if (item.category) normalized.category = String(item.category).substring(0, 100);
+        if (item.variant)  normalized.variant  = String(item.variant).substring(0, 100);
+        return normalized;
     }
 
-    // Get visitor fingerprint (privacy-friendly)
-    function getVisitorHash() {
-        const data = [
-            navigator.userAgent,
-            navigator.language,
-            screen.width + 'x' + screen.height,
-            new Date().getTimezoneOffset()
-        ].join('|');
+    // { items: [...] } or a single item ({ item_id, item_name, price })
+    function getItems(details) {
+        if (Array.isArray(details.items)) return details.items.slice(0, MAX_ITEMS).map(normalizeItem);
+        if (details.item_id || details.id) return [normalizeItem(details)];
+        return [];
+    }
 
-        let hash = 0;
-        for (let i = 0; i < data.length; i++) {
-            const char = data.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash;
+    // event_data of view_item / add_to_cart / begin_checkout - value defaults
+    // to the sum of price x quantity
+    function getCommerceData(details, defaultCurrency) {
+        details = details || {};
+        const items = getItems(details);
+
+        let value = parseAmount(details.value);
+        if (value === null) {
+            value = parseAmount(items.reduce(function(sum, item) {
+                return sum + (item.price || 0) * item.quantity;
+            }, 0));
         }
-        return Math.abs(hash).toString(36);
+
+        return {
+            currency: parseCurrency(details.currency) || defaultCurrency,
+            value:    value,
+            items:    items
+        };
+    }
+
+    // event_data of purchase - null without an order_id
+    function getPurchaseData(details, defaultCurrency) {
+        details = details || {};
+        const orderId = details.order_id || details.transaction_id;
+        if (!orderId) return null;
+
+        return Object.assign(getCommerceData(details, defaultCurrency), {
+            order_id: String(orderId).substring(0, 100),
+            tax:      parseAmount(details.tax),
+            shipping: parseAmount(details.shipping),
+            coupon:   details.coupon ? String(details.coupon).substring(0, 100) : null
+        });
+    }
+
+    // ✅ API URL - trailing slash remove karo
+    function getCollectUrl(apiUrl, endpoint) {
+        return apiUrl.replace(/\/$/, '') + '/api/v1/collect/' + endpoint;
+    }
+
+    // site_key travels in the body too, for senders that cannot set headers
+    function serializeBatch(siteKey, events) {
+        return JSON.stringify({ site_key: siteKey, events: events });
+    }
+
+    // 5xx / rate limited - keep the batch and retry; anything else is final,
+    // a rejected batch will never succeed
+    function isRetryableStatus(status) {
+        return status >= 500 || status === 429;
     }
 
-    // Get device type
-    function getDeviceType() {
-        const ua = navigator.userAgent;
-        if (/(tablet|ipad|playbook|silk)|(android(?!.*mobi))/i.test(ua)) {
-            return 'tablet';
+    // Exponential backoff with jitter
+    function getRetryDelay(retries) {
+        const delay = Math.min(RETRY_MAX, RETRY_BASE * Math.pow(2, retries));
+        return delay + Math.round(Math.random() * delay * 0.2);
+    }
+
+    const core = {
+        EVENT_TYPES:       EVENT_TYPES,
+        PAYLOAD_FIELDS:    PAYLOAD_FIELDS,
+        generateId:        generateId,
+        buildPayload:      buildPayload,
+        validatePayload:   validatePayload,
+        parseCurrency:     parseCurrency,
+        getCommerceData:   getCommerceData,
+        getPurchaseData:   getPurchaseData,
+        getCollectUrl:     getCollectUrl,
+        serializeBatch:    serializeBatch,
+        isRetryableStatus: isRetryableStatus,
+        getRetryDelay:     getRetryDelay
+    };
+
+    // require()d by the Node SDK - hand over the core, skip everything browser-only
+    if (typeof window === 'undefined' && typeof module === 'object' && module.exports) {
+        module.exports = core;
+        return;
+    }
+
+    // Script tag - document.currentScript is only set while this file first runs
+    const currentScript = document.currentScript;
+
+    // Trackers by name - 'default' comes from the script tag (or geotrack('create'))
+    const instances = {};
+
+    // Commands queued by the inline stub, replayed once the page is ready
+    const commandQueue = (window.geotrack && window.geotrack.q) || [];
+    const readyCallbacks = [];
+    let isReady = false;
+
+    // Cross-domain linker - taken off the URL once, before any tracker (or the
+    // site's router) sees it; every tracker has its own backend verify it
+    const LINKER_PARAM = '_gtl';
+    const incomingLinker = takeLinker();
+
+    // Remove _gtl from a URL, leaving the rest of it untouched
+    function removeLinkerParam(url) {
+        return url.replace(/([?&])_gtl=[^&#]*&?/, '$1').replace(/[?&](#|$)/, '$1');
+    }
+
+    function takeLinker() {
+        const match = window.location.search.match(/[?&]_gtl=([^&#]*)/);
+        if (!match) return null;
+
+        try {
+            history.replaceState(history.state, '', removeLinkerParam(window.location.href));
+        } catch (err) {
+            // Sandboxed iframe or file:// - redaction still strips it from events
         }
-        if (/Mobile|Android|iP(hone|od)|IEMobile|BlackBerry|Kindle|Silk-Accelerated|(hpw|web)OS|Opera M(obi|ini)/.test(ua)) {
-            return 'mobile';
+        try {
+            return decodeURIComponent(match[1]);
+        } catch (err) {
+            return null;
         }
-        return 'desktop';
     }
 
-    // Get browser info
-    function getBrowserInfo() {
-        const ua = navigator.userAgent;
-        let browser = 'Unknown';
-        
-        if (ua.indexOf('Firefox') > -1)        browser = 'Firefox';
-        else if (ua.indexOf('SamsungBrowser') > -1) browser = 'Samsung';
-        else if (ua.indexOf('Opera') > -1 || ua.indexOf('OPR') > -1) browser = 'Opera';
-        else if (ua.indexOf('Trident') > -1)   browser = 'IE';
-        else if (ua.indexOf('Edge') > -1)      browser = 'Edge';
-        else if (ua.indexOf('Chrome') > -1)    browser = 'Chrome';
-        else if (ua.indexOf('Safari') > -1)    browser = 'Safari';
-        
-        return browser;
+    // ============================================
+    // DEVICE DETECTION - Client Hints first, table-driven UA parsing as fallback
+    // ============================================
+
+    // First match wins - Edge, Opera and Samsung also say "Chrome",
+    // and every Chromium browser also says "Safari"
+    const BROWSER_RULES = [
+        { name: 'Edge',    regex: /Edg(?:e|A|iOS)?\/([\d.]+)/ },
+        { name: 'Opera',   regex: /(?:OPR|OPiOS)\/([\d.]+)/ },
+        { name: 'Samsung', regex: /SamsungBrowser\/([\d.]+)/ },
+        { name: 'Yandex',  regex: /YaBrowser\/([\d.]+)/ },
+        { name: 'Vivaldi', regex: /Vivaldi\/([\d.]+)/ },
+        { name: 'Firefox', regex: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+        { name: 'Chrome',  regex: /(?:Chrome|CriOS)\/([\d.]+)/ },
+        { name: 'IE',      regex: /(?:MSIE |Trident\/.*rv:)([\d.]+)/ },
+        { name: 'Safari',  regex: /Version\/([\d.]+).*Safari/ }
+    ];
+
+    // iOS and Android before MacOS and Linux - iPhones say "like Mac OS X",
+    // Android says "Linux"
+    const OS_RULES = [
+        { name: 'Windows',  regex: /Windows NT ([\d.]+)/ },
+        { name: 'iOS',      regex: /(?:iPhone|iPad|iPod).*? OS ([\d_]+)/ },
+        { name: 'Android',  regex: /Android ([\d.]+)/ },
+        { name: 'ChromeOS', regex: /CrOS \S+ ([\d.]+)/ },
+        { name: 'MacOS',    regex: /Mac OS X ([\d_.]+)/ },
+        { name: 'Linux',    regex: /Linux/ }
+    ];
+
+    const WINDOWS_VERSIONS = {
+        '10.0': '10',
+        '6.3':  '8.1',
+        '6.2':  '8',
+        '6.1':  '7',
+        '6.0':  'Vista',
+        '5.1':  'XP'
+    };
+
+    // Client Hints brand -> the names UA parsing reports
+    const BRAND_NAMES = {
+        'Google Chrome':    'Chrome',
+        'Microsoft Edge':   'Edge',
+        'Opera':            'Opera',
+        'Samsung Internet': 'Samsung',
+        'Yandex':           'Yandex',
+        'Vivaldi':          'Vivaldi',
+        'Chromium':         'Chromium'
+    };
+
+    const PLATFORM_NAMES = {
+        'Windows':   'Windows',
+        'macOS':     'MacOS',
+        'Android':   'Android',
+        'iOS':       'iOS',
+        'Chrome OS': 'ChromeOS',
+        'Chromium OS': 'ChromeOS',
+        'Linux':     'Linux'
+    };
+
+    function matchRule(rules, ua) {
+        for (let i = 0; i < rules.length; i++) {
+            const match = ua.match(rules[i].regex);
+            if (match) return { name: rules[i].name, version: match[1] ? match[1].replace(/_/g, '.') : null };
+        }
+        return { name: 'Unknown', version: null };
     }
 
-    // Get OS info
-    function getOSInfo() {
-        const ua = navigator.userAgent;
-        let os = 'Unknown';
-        
-        if (ua.indexOf('Win') > -1)     os = 'Windows';
-        else if (ua.indexOf('Mac') > -1)    os = 'MacOS';
-        else if (ua.indexOf('Linux') > -1)  os = 'Linux';
-        else if (ua.indexOf('Android') > -1) os = 'Android';
-        else if (ua.indexOf('iOS') > -1)    os = 'iOS';
-        
-        return os;
-    }
-
-    // Get referrer
-    function getReferrer() {
-        return document.referrer || '(direct)';
-    }
-
-    // ✅ FIXED: Send event to API - proper headers + fetch only
-    function sendEvent(eventType, eventData = {}) {
-        const payload = {
-            event_type:    eventType,
-            url:           window.location.href,
-            page_title:    document.title,
-            referrer:      getReferrer(),
-            visitor_hash:  getVisitorHash(),
-            device_type:   getDeviceType(),
-            browser:       getBrowserInfo(),
-            os:            getOSInfo(),
-            screen_width:  screen.width,
-            screen_height: screen.height,
-            language:      navigator.language,
-            timestamp:     new Date().toISOString(),
-            ...eventData
+    // "Android 13; SM-S911B Build/..." - reduced UAs send "K" instead of a model
+    function getDeviceModel(ua) {
+        const apple = ua.match(/\((iPhone|iPad|iPod)/);
+        if (apple) return apple[1];
+
+        const android = ua.match(/Android [\d.]+;(?: [a-z]{2}[-_][a-z]{2};)? ([^;)]+?)(?: Build\/|\))/i);
+        if (android && android[1] !== 'K') return android[1].trim();
+        return null;
+    }
+
+    // Pure - navigator.userAgent -> { browser, browser_version, os, os_version, device_model }
+    function parseUserAgent(ua) {
+        ua = ua || '';
+        const browser = matchRule(BROWSER_RULES, ua);
+        const os      = matchRule(OS_RULES, ua);
+        if (os.name === 'Windows') os.version = WINDOWS_VERSIONS[os.version] || os.version;
+
+        return {
+            browser:         browser.name,
+            browser_version: browser.version,
+            os:              os.name,
+            os_version:      os.version,
+            device_model:    getDeviceModel(ua)
         };
+    }
 
-        if (config.debug) {
-            console.log('[GeoTrack] 📤 Sending event:', eventType, payload);
+    // Pure - navigator.userAgentData (low or high entropy values) -> same
+    // shape as parseUserAgent(), fields the hints don't cover are null
+    function parseClientHints(hints) {
+        if (!hints) return null;
+
+        // Skip GREASE brands ("Not A;Brand") and prefer a real brand over "Chromium"
+        const brands = (hints.fullVersionList || hints.brands || []).filter(function(entry) {
+            return !/not.?a.?brand/i.test(entry.brand);
+        });
+        const brand = brands.filter(function(entry) { return entry.brand !== 'Chromium'; })[0] || brands[0];
+
+        let osVersion = hints.platformVersion || null;
+        // Windows 11 reports platformVersion 13+, Windows 10 reports 1-10
+        if (hints.platform === 'Windows' && osVersion) {
+            const major = parseInt(osVersion, 10);
+            osVersion = major >= 13 ? '11' : major > 0 ? '10' : null;
         }
 
-        // ✅ API URL - trailing slash remove karo
-        const url = config.apiUrl.replace(/\/$/, '') + '/api/v1/collect/collect';
+        return {
+            browser:         brand ? (BRAND_NAMES[brand.brand] || brand.brand) : null,
+            browser_version: brand ? brand.version : null,
+            os:              hints.platform ? (PLATFORM_NAMES[hints.platform] || hints.platform) : null,
+            os_version:      osVersion,
+            device_model:    hints.model || null
+        };
+    }
+
+    // Pure - Client Hints win wherever they have a value
+    function detectDevice(ua, hints) {
+        const info   = parseUserAgent(ua);
+        const hinted = parseClientHints(hints);
+        if (!hinted) return info;
 
-        // ✅ FIXED: Use fetch only (sendBeacon X-Site-Key header support nahi karta)
-        fetch(url, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Site-Key':   config.siteKey  // ✅ Site key header mein
-            },
-            body: JSON.stringify(payload),
-            keepalive: true  // Page unload par bhi kaam karega
-        })
-        .then(function(res) {
-            if (!res.ok) throw new Error('HTTP ' + res.status);
-            return res.json();
-        })
-        .then(function(data) {
-            if (config.debug) {
-                console.log('[GeoTrack] ✅ Event saved:', data);
-            }
-        })
-        .catch(function(err) {
-            if (config.debug) {
-                console.error('[GeoTrack] ❌ Error:', err);
-            }
+        Object.keys(info).forEach(function(key) {
+            if (hinted[key]) info[key] = hinted[key];
         });
+        return info;
     }
 
-    // Track pageview
-    function trackPageview() {
-        sendEvent('pageview', {
-            event_name: 'page_view'
+    // Shared by every tracker - low-entropy hints are synchronous, the high
+    // entropy ones (full versions, platform version, model) resolve later
+    const device = {
+        info:  detectDevice(navigator.userAgent, navigator.userAgentData),
+        ready: null
+    };
+
+    device.ready = (function() {
+        const uaData = navigator.userAgentData;
+        if (!uaData || typeof uaData.getHighEntropyValues !== 'function') return Promise.resolve();
+
+        const hints = uaData.getHighEntropyValues(['fullVersionList', 'platformVersion', 'model'])
+            .then(function(values) {
+                device.info = detectDevice(navigator.userAgent, values);
+            })
+            .catch(function() {});
+
+        // Never hold events back for long
+        return Promise.race([hints, new Promise(function(resolve) { setTimeout(resolve, 500); })]);
+    })();
+
+    function escapeHtml(text) {
+        return String(text == null ? '' : text).replace(/[&<>"']/g, function(char) {
+            return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char];
         });
     }
 
-    // Track custom event
-    function track(eventName, eventData = {}) {
-        sendEvent('custom', {
-            event_name: eventName,
-            event_data: eventData
-        });
+    // One fixed container for every tracker's debug panel
+    function getInspectorRoot() {
+        let root = document.getElementById('geotrack-inspector');
+        if (!root) {
+            root = document.createElement('div');
+            root.id = 'geotrack-inspector';
+            root.setAttribute('data-geotrack-ignore', '');
+            root.style.cssText = 'position: fixed; right: 12px; bottom: 12px; z-index: 2147483647; width: 400px;' +
+                'max-width: calc(100vw - 24px); display: flex; flex-direction: column; gap: 8px;' +
+                'font: 12px/1.4 ui-monospace, SFMono-Regular, Menlo, monospace; text-align: left;';
+            document.body.appendChild(root);
+        }
+        return root;
+    }
+
+    function getDeviceFields() {
+        return {
+            browser:         device.info.browser,
+            browser_version: device.info.browser_version,
+            os:              device.info.os,
+            os_version:      device.info.os_version,
+            device_model:    device.info.device_model
+        };
     }
 
-    // Setup outbound link tracking
-    function setupOutboundTracking() {
-        document.addEventListener('click', function(e) {
-            const link = e.target.closest('a');
-            if (!link) return;
+    // ============================================
+    // TRACKER - every instance keeps its own config, queue and session
+    // ============================================
+
+    function createTracker(name, source) {
+
+        // Configuration
+        const config = {
+            siteKey: null,
+            apiUrl: null,
+            debug: false,
+            dryRun: false,
+            autoTrack: true,
+            trackOutbound: true,
+            trackForms: true,
+            trackDownloads: true,
+            downloadExtensions: [
+                'pdf', 'zip', 'dmg', 'exe', 'msi', 'pkg', 'deb', 'rpm', 'apk', 'iso',
+                'gz', 'tgz', 'rar', '7z', 'csv', 'xls', 'xlsx', 'doc', 'docx',
+                'ppt', 'pptx', 'txt', 'mp3', 'mp4', 'mov', 'epub'
+            ],
+            respectDNT: true,
+            respectGPC: true,
+            requireConsent: false,
+            identity: 'daily',
+            salt: null,
+            disabledPlugins: [],
+            redact: true,
+            currency: 'USD',
+            excludeBots: null,
+            stripParams: null,
+            normalizePaths: null,
+            trackScroll: true,
+            idleTimeout: 30000,
+            trackVitals: true,
+            vitalsSampleRate: 1,
+            trackErrors: false,
+            trackImpressions: true,
+            heatmapPages: [],
+            crossDomain: [],
+            heatmapSampleRate: 1,
+            impressionDwell: 1000,
+            maxErrorsPerPage: 10,
+            spa: 'history'
+        };
 
-            const href = link.getAttribute('href');
-            if (!href || href.startsWith('#')) return;
+        // Current (virtual) page - used for SPA route changes
+        const page = {
+            key:      null,
+            url:      null,
+            title:    null,
+            referrer: null
+        };
 
-            const isOutbound = link.hostname && link.hostname !== window.location.hostname;
-            if (isOutbound) {
-                sendEvent('click', {
-                    event_name: 'outbound_click',
-                    event_data: {
-                        url:  href,
-                        text: link.textContent.trim().substring(0, 100)
-                    }
+        // Time-on-page clock, restarted for every virtual page
+        const timer = {
+            enabled:   false,
+            startTime: Date.now(),
+            isVisible: true
+        };
+
+        // Engagement - active time (pauses after idleTimeout) and scroll depth
+        const SCROLL_MILESTONES = [25, 50, 75, 90, 100];
+        const engagement = {
+            total:        0,     // ms engaged in closed stretches
+            activeSince:  null,  // start of the current active stretch
+            lastActivity: 0,
+            maxScroll:    0,
+            milestones:   []     // milestones already sent for this page
+        };
+
+        // Core Web Vitals for the initial (hard) page load - reported once
+        const vitals = {
+            sampled:      false,
+            reported:     false,
+            url:          null,
+            lcp:          null,
+            fcp:          null,
+            cls:          0,
+            clsWindow:    0,     // current layout-shift session window
+            clsFirst:     0,
+            clsLast:      0,
+            interactions: {}     // interactionId -> longest event duration
+        };
+
+        // Plugins - GeoTrack.use(); built-ins are added in init() unless disabled
+        const plugins = [];
+        let pluginsReady = false;
+
+        const BUILT_IN_PLUGINS = [
+            {
+                name: 'pageview',
+                init: function() {
+                    trackPageview();
+                    if (config.spa !== 'off') setupSpaTracking();
+                }
+            },
+            {
+                name: 'outbound',
+                init: function() {
+                    linkHandlers.push(trackOutboundLink);
+                }
+            },
+            {
+                name: 'visibility',
+                init: function() {
+                    setupVisibilityTracking();
+                    setupEngagementTracking();
+                }
+            }
+        ];
+
+        // Extra handlers run by the delegated click listener for plain links
+        const linkHandlers = [];
+
+        // Visitor identity - events wait in `pending` and callbacks in
+        // `waiting` until the async visitor ID is ready
+        const identity = {
+            visitorId: null,
+            userId:    null,
+            traits:    null,
+            ready:     false,
+            pending:   [],
+            waiting:   []
+        };
+
+        // Session - rolls over after 30 minutes of inactivity or at midnight
+        const SESSION_TIMEOUT = 30 * 60 * 1000;
+        let session = null;
+
+        // Campaign attribution for the current session
+        const UTM_PARAMS      = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+        const CLICK_ID_PARAMS = ['gclid', 'gbraid', 'wbraid', 'fbclid', 'msclkid', 'ttclid', 'twclid', 'li_fat_id'];
+        const SEARCH_ENGINES  = /(^|\.)(google|bing|yahoo|duckduckgo|baidu|yandex|ecosia|naver|seznam|startpage)\.|search\.brave\.com$/;
+        // utm_source names them without a domain: 'google', 'facebook', 'google.com'
+        const SEARCH_SOURCES  = /^(www\.)?(google|bing|yahoo|duckduckgo|baidu|yandex|ecosia|naver|seznam|startpage|brave)(\.|$)/;
+        const SOCIAL_SOURCES  = /^(www\.)?(facebook|fb|instagram|twitter|x|linkedin|reddit|pinterest|youtube|tiktok|threads|mastodon)(\.|$)/;
+        const SOCIAL_NETWORKS = /(^|\.)(facebook|fb|instagram|twitter|x|linkedin|reddit|pinterest|youtube|tiktok|threads|mastodon)\.|(^|\.)(t\.co|lnkd\.in)$/;
+        const attribution = {
+            session_id: null,
+            first:      null,
+            last:       null
+        };
+
+        // JS errors sent for the current page - fingerprint -> occurrences
+        const errors = {
+            seen: {},
+            sent: 0
+        };
+
+        // Transport settings
+        const BATCH_SIZE     = 20;
+        const FLUSH_DELAY    = 1000;
+        const MAX_QUEUE_SIZE = 500;
+
+        // A stored queue untouched for this long belongs to a closed tab -
+        // live tabs rewrite theirs on every change and retry (<= RETRY_MAX)
+        const QUEUE_ORPHAN_AGE = 5 * 60 * 1000;
+
+        // Event queue - persisted in localStorage until the server accepts it,
+        // under a key of its own per page load so tabs never overwrite each other
+        const transport = {
+            id:        generateId(),
+            queue:     [],
+            persisted: [],  // event_ids last written to storage
+            inFlight:  0,
+            retries:   0,
+            timer:     null
+        };
+
+        // Consent state - events wait in memory (never storage) until granted
+        const MAX_CONSENT_BUFFER = 100;
+        const consent = {
+            state:  null,  // 'granted' | 'denied' | null (no decision yet)
+            buffer: [],
+            dntHeld: false  // init stopped for Do Not Track - consent('granted') resumes it
+        };
+
+        // Get site key from script tag
+        function init() {
+            const script = source || currentScript || document.querySelector('script[data-site-key]');
+            if (!script) {
+                console.error('[GeoTrack] Script tag not found');
+                return;
+            }
+
+            config.siteKey  = script.getAttribute('data-site-key');
+            config.apiUrl   = script.getAttribute('data-api-url') || detectApiUrl();
+            config.debug    = script.getAttribute('data-debug') === 'true' || isDebugUrl();
+            config.dryRun   = script.hasAttribute('data-dry-run') && script.getAttribute('data-dry-run') !== 'false';
+            config.autoTrack = script.getAttribute('data-auto-track') !== 'false';
+            config.spa      = parseSpaMode(script.getAttribute('data-spa'));
+            config.trackScroll = script.getAttribute('data-track-scroll') !== 'false';
+            config.idleTimeout = (parseInt(script.getAttribute('data-idle-timeout'), 10) || 30) * 1000;
+            config.trackVitals = script.getAttribute('data-track-vitals') !== 'false';
+            config.vitalsSampleRate = parseSampleRate(script.getAttribute('data-vitals-sample-rate'));
+            config.trackErrors = script.getAttribute('data-track-errors') === 'true';
+            config.trackImpressions = script.getAttribute('data-track-impressions') !== 'false';
+            config.heatmapPages      = splitList(script.getAttribute('data-heatmap-pages'));
+            config.heatmapSampleRate = parseSampleRate(script.getAttribute('data-heatmap-sample-rate'));
+            config.impressionDwell  = Math.max(0, parseInt(script.getAttribute('data-impression-dwell'), 10) || 1000);
+            config.trackOutbound  = script.getAttribute('data-track-outbound') !== 'false';
+            config.trackForms     = script.getAttribute('data-track-forms') !== 'false';
+            config.trackDownloads = script.getAttribute('data-track-downloads') !== 'false';
+            config.crossDomain    = splitList((script.getAttribute('data-cross-domain') || '').toLowerCase())
+                .map(function(domain) { return domain.replace(/^\*?\./, ''); });
+            if (script.getAttribute('data-download-extensions')) {
+                config.downloadExtensions = script.getAttribute('data-download-extensions')
+                    .toLowerCase().split(',').map(function(ext) { return ext.trim().replace(/^\./, ''); });
+            }
+            config.requireConsent = script.hasAttribute('data-require-consent') &&
+                script.getAttribute('data-require-consent') !== 'false';
+            config.identity = script.getAttribute('data-identity') === 'persistent' ? 'persistent' : 'daily';
+            config.salt     = script.getAttribute('data-salt');
+            config.disabledPlugins = splitList(script.getAttribute('data-disable-plugins'));
+            config.redact      = script.getAttribute('data-redact') !== 'false';
+            config.currency    = parseCurrency(script.getAttribute('data-currency')) || 'USD';
+            if (script.hasAttribute('data-exclude-bots') && script.getAttribute('data-exclude-bots') !== 'false') {
+                config.excludeBots = parseInt(script.getAttribute('data-exclude-bots'), 10) || BOT_THRESHOLD;
+            }
+            config.stripParams = parseStripParams(script.getAttribute('data-strip-params'));
+            if (script.hasAttribute('data-normalize-paths')) {
+                config.normalizePaths = splitList(script.getAttribute('data-normalize-paths'));
+            }
+
+            if (!config.siteKey) {
+                console.error('[GeoTrack] Site key is required');
+                return;
+            }
+
+            if (config.debug) {
+                console.log('[GeoTrack] ✅ Initialized:', {
+                    siteKey: config.siteKey,
+                    apiUrl:  config.apiUrl,
+                    dryRun:  config.dryRun
                 });
+                setupInspector();
             }
-        }, true);
-    }
 
-    // Setup visibility tracking (time on page)
-    function setupVisibilityTracking() {
-        let startTime  = Date.now();
-        let isVisible  = !document.hidden;
+            // Resolve consent (stored choice, Global Privacy Control)
+            setupConsent();
 
-        document.addEventListener('visibilitychange', function() {
-            if (document.hidden) {
-                const timeSpent = Math.round((Date.now() - startTime) / 1000);
-                if (timeSpent > 0) {
-                    sendEvent('custom', {
-                        event_name: 'time_on_page',
-                        event_data: { duration_seconds: timeSpent }
-                    });
-                }
-                isVisible = false;
+            // Check Do Not Track - consent the visitor explicitly granted overrides it
+            if (config.respectDNT && navigator.doNotTrack === '1' && consent.state !== 'granted') {
+                if (config.debug) console.log('[GeoTrack] DNT enabled, tracking disabled until consent is granted');
+                consent.dntHeld = true;
+                return;
+            }
+
+            startTracking();
+        }
+
+        // Everything past the consent checks - run by init, or by consent('granted')
+        // when Do Not Track held init back
+        function startTracking() {
+            // Bot signals - static checks now, human interaction from here on
+            setupBotSignals();
+
+            // Restore events left over from previous pages
+            loadQueue();
+
+            // Visitor ID (daily cookieless hash or persistent first-party ID) -
+            // after the backend has verified a linked domain's token (?_gtl=...)
+            if (incomingLinker) {
+                readLinker().then(setupIdentity);
             } else {
-                startTime = Date.now();
-                isVisible = true;
+                setupIdentity();
             }
-        });
 
-        window.addEventListener('beforeunload', function() {
-            if (isVisible) {
-                const timeSpent = Math.round((Date.now() - startTime) / 1000);
-                if (timeSpent > 0) {
-                    // ✅ beforeunload mein sendBeacon use karo (fetch block ho sakti hai)
-                    const url  = config.apiUrl.replace(/\/$/, '') + '/api/v1/collect/collect';
-                    const data = JSON.stringify({
-                        event_type:   'custom',
-                        event_name:   'time_on_page',
-                        event_data:   { duration_seconds: timeSpent },
-                        url:          window.location.href,
-                        visitor_hash: getVisitorHash(),
-                        timestamp:    new Date().toISOString()
-                    });
-                    
-                    // sendBeacon site_key query param mein
-                    if (navigator.sendBeacon) {
-                        navigator.sendBeacon(
-                            url + '?site_key=' + config.siteKey, 
-                            new Blob([data], { type: 'application/json' })
-                        );
+            // UTM / click-ID / referrer attribution for this session
+            loadAttribution();
+            captureTouch(true);
+
+            // Track clicks - declarative events and downloads (+ plugin link handlers)
+            setupClickTracking();
+
+            // Track form submissions (field names only)
+            if (config.trackForms) {
+                setupFormTracking();
+            }
+
+            // Carry the visitor to data-cross-domain sites (middle clicks, forms)
+            if (config.crossDomain.length) {
+                setupCrossDomain();
+            }
+
+            // Track Core Web Vitals (sampled)
+            if (config.trackVitals) {
+                setupVitalsTracking();
+            }
+
+            // Track JavaScript errors (opt-in)
+            if (config.trackErrors) {
+                setupErrorTracking();
+            }
+
+            // Track data-geotrack-impression elements
+            if (config.trackImpressions) {
+                setupImpressionTracking();
+            }
+
+            // Click heatmaps - only on opted-in pages, checked per click
+            setupHeatmapTracking();
+
+            // Plugins - pageview (+ SPA routes), outbound links, visibility
+            // (time on page, engaged time, scroll depth) and user plugins
+            setupPlugins();
+
+            // Flush queue on reconnect / page hide (registered last so
+            // events sent by the other pagehide handlers are included)
+            setupTransport();
+        }
+
+        // Sample rate between 0 and 1 - invalid values mean "everyone"
+        function parseSampleRate(value) {
+            const rate = parseFloat(value);
+            if (isNaN(rate)) return 1;
+            return Math.min(1, Math.max(0, rate));
+        }
+
+        // "a, b,c" -> ['a', 'b', 'c']
+        function splitList(value) {
+            return (value || '').split(',')
+                .map(function(item) { return item.trim(); })
+                .filter(Boolean);
+        }
+
+        // data-strip-params="ref,uid" adds to the default denylist,
+        // data-strip-params="allow:page,q" keeps only the listed params
+        function parseStripParams(value) {
+            const list = (value || '').trim();
+            if (list.indexOf('allow:') === 0) {
+                return { mode: 'allow', names: splitList(list.substring(6).toLowerCase()) };
+            }
+            return { mode: 'deny', names: DEFAULT_STRIP_PARAMS.concat(splitList(list.toLowerCase())) };
+        }
+
+        // data-spa="history|hash|off" - anything else falls back to history
+        function parseSpaMode(value) {
+            if (value === 'hash' || value === 'off') return value;
+            return 'history';
+        }
+
+        // ✅ FIXED: Detect API URL based on environment
+        function detectApiUrl() {
+            const hostname = window.location.hostname;
+
+            // Local development
+            if (hostname === 'localhost' || hostname === '127.0.0.1') {
+                return 'http://localhost:8000';
+            }
+
+            // ✅ PRODUCTION: Backend URL
+            // data-api-url attribute se aayega - yahan fallback hai
+            // Yeh tab use hoga jab data-api-url attribute missing ho
+            return '__VITE_API_URL__' ||'https://unhypothecated-archer-unmovingly.ngrok-free.dev'; // fallback
+        }
+
+        // Simple 32-bit string hash (base36)
+        function hashString(data) {
+            let hash = 0;
+            for (let i = 0; i < data.length; i++) {
+                const char = data.charCodeAt(i);
+                hash = ((hash << 5) - hash) + char;
+                hash = hash & hash;
+            }
+            return Math.abs(hash).toString(36);
+        }
+
+        // 32-bit FNV-1a - better spread than hashString for short, similar keys
+        function fnv1a(text) {
+            let hash = 0x811c9dc5;
+            for (let i = 0; i < text.length; i++) {
+                hash ^= text.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193);
+            }
+            return hash >>> 0;
+        }
+
+        // Get device type
+        function getDeviceType() {
+            const ua = navigator.userAgent;
+            if (/(tablet|ipad|playbook|silk)|(android(?!.*mobi))/i.test(ua)) {
+                return 'tablet';
+            }
+            if (/Mobile|Android|iP(hone|od)|IEMobile|BlackBerry|Kindle|Silk-Accelerated|(hpw|web)OS|Opera M(obi|ini)/.test(ua)) {
+                return 'mobile';
+            }
+            return 'desktop';
+        }
+
+        // Get referrer - previous in-app URL after a SPA route change
+        function getReferrer() {
+            return page.referrer || document.referrer || '(direct)';
+        }
+
+        // Route key used to dedupe pageviews - hash only counts in hash mode
+        function getRouteKey() {
+            const href = window.location.href;
+            return config.spa === 'hash' ? href : href.split('#')[0];
+        }
+
+        // Build event payload and queue it for delivery
+        function sendEvent(eventType, eventData = {}) {
+            const botScore = getBotScore();
+            if (bot.excluded) return;
+
+            const current = touchSession(eventType === 'pageview');
+
+            const payload = buildPayload(eventType, eventData, {
+                url:           window.location.href,
+                page_title:    document.title,
+                referrer:      getReferrer(),
+                consent_state: getConsentState(),
+                session_id:    current.id,
+                session_pageviews: current.pageviews,
+                is_entry:      current.pageviews <= 1,
+                attribution:   getAttribution(),
+                experiments:   getAssignments(),
+                visitor_hash:  identity.visitorId,
+                user_id:       identity.userId,
+                id_type:       config.identity,
+                device_type:   getDeviceType(),
+                ...getDeviceFields(),
+                screen_width:  screen.width,
+                screen_height: screen.height,
+                language:      navigator.language,
+                bot_score:     botScore.score,
+                bot_signals:   botScore.signals
+            });
+
+            redactPayload(payload);
+
+            if (config.debug) {
+                console.log('[GeoTrack] 📤 Queued event:', eventType, payload);
+
+                const warnings = validatePayload(payload);
+                warnings.forEach(function(warning) {
+                    console.warn('[GeoTrack] ⚠️ ' + warning);
+                });
+                inspect(payload, 'built', null, warnings);
+            }
+
+            if (!identity.ready) {
+                identity.pending.push(payload);
+                return;
+            }
+            processPayload(payload);
+        }
+
+        // ============================================
+        // REDACTION - query params, PII patterns, path normalization
+        // ============================================
+
+        const REDACTED = '[redacted]';
+
+        // Query params stripped by default - data-strip-params adds to these
+        const DEFAULT_STRIP_PARAMS = [
+            'token', 'access_token', 'id_token', 'refresh_token', 'auth', 'code',
+            'password', 'pass', 'pwd', 'secret', 'api_key', 'apikey', 'key',
+            'session', 'sessionid', 'session_id', 'sid', 'email', LINKER_PARAM
+        ];
+
+        // Values redacted wherever they appear (url, referrer, page_title, event_data, attribution)
+        const PII_PATTERNS = [
+            { name: 'email', regex: /[A-Z0-9._%+-]+(?:@|%40)[A-Z0-9.-]+\.[A-Z]{2,}/gi },
+            { name: 'jwt',   regex: /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g },
+            { name: 'card',  regex: /\b\d(?:[ -]?\d){12,18}\b/g, test: isLuhnValid }
+        ];
+
+        // Per-segment rules used by data-normalize-paths when no template matches
+        const PATH_RULES = [
+            { regex: /^\d+$/,                   replacement: ':id' },
+            { regex: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, replacement: ':uuid' },
+            { regex: /^[0-9a-f]{24,}$/i,         replacement: ':hash' }
+        ];
+
+        // Luhn checksum - keeps order numbers and timestamps out of the card pattern
+        function isLuhnValid(match) {
+            const digits = match.replace(/\D/g, '');
+            let sum = 0;
+            for (let i = 0; i < digits.length; i++) {
+                let digit = +digits.charAt(digits.length - 1 - i);
+                if (i % 2) {
+                    digit *= 2;
+                    if (digit > 9) digit -= 9;
+                }
+                sum += digit;
+            }
+            return sum % 10 === 0;
+        }
+
+        function redactText(value, field, report) {
+            if (typeof value !== 'string' || !value) return value;
+            PII_PATTERNS.forEach(function(pattern) {
+                value = value.replace(pattern.regex, function(match) {
+                    if (pattern.test && !pattern.test(match)) return match;
+                    report.push(field + ': ' + pattern.name);
+                    return REDACTED;
+                });
+            });
+            return value;
+        }
+
+        function isStrippedParam(key) {
+            const rules  = config.stripParams;
+            const listed = rules.names.indexOf(key) !== -1;
+            return rules.mode === 'allow' ? !listed : listed;
+        }
+
+        // "a=1&token=x" -> "a=1&token=[redacted]"
+        function stripParams(query, field, report) {
+            return query.split('&').map(function(pair) {
+                const eq   = pair.indexOf('=');
+                const name = eq === -1 ? pair : pair.substring(0, eq);
+                let key;
+                try {
+                    key = decodeURIComponent(name).toLowerCase();
+                } catch (err) {
+                    key = name.toLowerCase();
+                }
+
+                if (!isStrippedParam(key) || eq === -1) return pair;
+
+                report.push(field + ': ?' + key);
+                return name + '=' + REDACTED;
+            }).join('&');
+        }
+
+        // Templates (/users/:id/orders/:order) win, otherwise PATH_RULES per segment
+        function normalizePath(base, field, report) {
+            if (!config.normalizePaths) return base;
+
+            const origin   = (base.match(/^[a-z][a-z0-9+.-]*:\/\/[^/]*/i) || [''])[0];
+            const path     = base.substring(origin.length);
+            const segments = path.split('/');
+
+            let normalized = null;
+            config.normalizePaths.some(function(template) {
+                const parts = template.split('/');
+                const match = parts.length === segments.length && parts.every(function(part, i) {
+                    return part.charAt(0) === ':' || part === segments[i];
+                });
+                if (match) normalized = template;
+                return match;
+            });
+
+            if (normalized === null) {
+                normalized = segments.map(function(segment) {
+                    for (let i = 0; i < PATH_RULES.length; i++) {
+                        if (PATH_RULES[i].regex.test(segment)) return PATH_RULES[i].replacement;
                     }
+                    return segment;
+                }).join('/');
+            }
+
+            if (normalized !== path) report.push(field + ': path');
+            return origin + normalized;
+        }
+
+        function redactUrl(url, field, report) {
+            if (typeof url !== 'string' || !url) return url;
+
+            const hashAt  = url.indexOf('#');
+            const hash    = hashAt === -1 ? null : url.substring(hashAt + 1);
+            let base      = hashAt === -1 ? url : url.substring(0, hashAt);
+            const queryAt = base.indexOf('?');
+            const query   = queryAt === -1 ? null : base.substring(queryAt + 1);
+            if (queryAt !== -1) base = base.substring(0, queryAt);
+
+            let result = normalizePath(base, field, report);
+            if (query !== null) result += '?' + stripParams(query, field, report);
+
+            // Hash routes (#/users/1?x=1) and fragment params (#access_token=...)
+            if (hash !== null) {
+                if (hash.charAt(0) === '/') {
+                    result += '#' + redactUrl(hash, field, report);
+                } else {
+                    result += '#' + (hash.indexOf('=') !== -1 ? stripParams(hash, field, report) : hash);
                 }
             }
-        });
-    }
 
-    // ✅ Public API
-    window.GeoTrack = {
-        track:         track,
-        trackPageview: trackPageview,
-        config:        config
-    };
+            return redactText(result, field, report);
+        }
+
+        // event_data - strings that look like URLs get the full URL treatment
+        function redactData(value, field, report, depth) {
+            if (typeof value === 'string') {
+                return /^https?:\/\//i.test(value) ? redactUrl(value, field, report) : redactText(value, field, report);
+            }
+            if (!value || typeof value !== 'object' || depth > 5) return value;
+
+            const copy = Array.isArray(value) ? [] : {};
+            Object.keys(value).forEach(function(key) {
+                copy[key] = redactData(value[key], field + '.' + key, report, depth + 1);
+            });
+            return copy;
+        }
+
+        // A touch holds raw utm_* values and the click ID - each is stripped when
+        // its query param would be, and scanned for PII like any other text
+        function redactTouch(touch, field, report) {
+            if (!touch) return touch;
+
+            const copy = {};
+            Object.keys(touch).forEach(function(key) {
+                const value = touch[key];
+                const param = key === 'click_id' ? touch.click_id_type :
+                    (UTM_PARAMS.indexOf('utm_' + key) !== -1 ? 'utm_' + key : null);
+
+                if (typeof value !== 'string') {
+                    copy[key] = value;
+                } else if (param && isStrippedParam(param)) {
+                    report.push(field + '.' + key + ': ?' + param);
+                    copy[key] = REDACTED;
+                } else {
+                    copy[key] = redactData(value, field + '.' + key, report, 0);
+                }
+            });
+            return copy;
+        }
+
+        // Runs on every payload before plugins see it (data-redact="false" disables)
+        function redactPayload(payload) {
+            if (!config.redact) return;
+
+            const report = [];
+            payload.url        = redactUrl(payload.url, 'url', report);
+            payload.referrer   = redactUrl(payload.referrer, 'referrer', report);
+            payload.page_title = redactText(payload.page_title, 'page_title', report);
+            if (payload.event_data) {
+                payload.event_data = redactData(payload.event_data, 'event_data', report, 0);
+            }
+            if (payload.attribution) {
+                payload.attribution = {
+                    first_touch: redactTouch(payload.attribution.first_touch, 'attribution.first_touch', report),
+                    last_touch:  redactTouch(payload.attribution.last_touch, 'attribution.last_touch', report)
+                };
+            }
+
+            if (report.length && config.debug) {
+                console.log('[GeoTrack] 🔒 Redacted ' + REDACTED + ':', report.join(', '));
+            }
+        }
+
+        // ============================================
+        // BOT SIGNALS - bot_score 0-100, data-exclude-bots
+        // ============================================
+
+        // data-exclude-bots without a value
+        const BOT_THRESHOLD = 70;
+
+        const HEADLESS_UA = /HeadlessChrome|PhantomJS|SlimerJS|Puppeteer|Playwright|Selenium|Electron\//i;
+        const BOT_UA      = /bot\b|crawl|spider|slurp|lighthouse|pingdom|curl\/|wget\/|python-requests|axios\//i;
+
+        // Signal weights - no single weak signal can reach the threshold
+        const BOT_WEIGHTS = {
+            webdriver:      50,
+            headless_ua:    50,
+            bot_ua:         70,
+            no_plugins:     10,
+            no_languages:   20,
+            zero_screen:    30,
+            no_interaction: 10
+        };
+
+        const bot = {
+            signals:    [],
+            interacted: false,
+            excluded:   false
+        };
+
+        // Checks that can't change during the page's lifetime
+        function setupBotSignals() {
+            const ua = navigator.userAgent || '';
+            const signals = [];
+
+            if (navigator.webdriver) signals.push('webdriver');
+            if (HEADLESS_UA.test(ua)) signals.push('headless_ua');
+            if (BOT_UA.test(ua)) signals.push('bot_ua');
+            // Mobile browsers legitimately report no plugins
+            if (getDeviceType() === 'desktop' && navigator.plugins && navigator.plugins.length === 0) {
+                signals.push('no_plugins');
+            }
+            if (!navigator.languages || navigator.languages.length === 0) signals.push('no_languages');
+            if (!screen.width || !screen.height) signals.push('zero_screen');
+            bot.signals = signals;
+
+            // Synthetic (untrusted) events don't count as a human
+            function onInteraction(e) {
+                if (e.isTrusted === false) return;
+                bot.interacted = true;
+                ['pointerdown', 'mousemove', 'keydown', 'touchstart', 'wheel', 'scroll'].forEach(function(type) {
+                    window.removeEventListener(type, onInteraction, true);
+                });
+            }
+            ['pointerdown', 'mousemove', 'keydown', 'touchstart', 'wheel', 'scroll'].forEach(function(type) {
+                window.addEventListener(type, onInteraction, { passive: true, capture: true });
+            });
+        }
+
+        // Once excluded, the page stays excluded - a bot that later
+        // scrolls shouldn't start reporting halfway through
+        function getBotScore() {
+            const signals = bot.signals.slice();
+            if (!bot.interacted) signals.push('no_interaction');
+
+            const score = Math.min(100, signals.reduce(function(sum, signal) {
+                return sum + BOT_WEIGHTS[signal];
+            }, 0));
+
+            if (!bot.excluded && config.excludeBots !== null && score >= config.excludeBots) {
+                bot.excluded = true;
+                if (config.debug) console.log('[GeoTrack] 🤖 Bot excluded (score ' + score + '):', signals.join(', '));
+            }
+            return { score: score, signals: signals };
+        }
+
+        // ============================================
+        // PLUGINS - GeoTrack.use(), init/beforeSend/afterSend/onError hooks
+        // ============================================
+
+        // Built-ins honour the legacy data-auto-track / data-track-outbound flags
+        function isPluginEnabled(name) {
+            if (name === 'pageview' && !config.autoTrack) return false;
+            if (name === 'outbound' && !config.trackOutbound) return false;
+            return config.disabledPlugins.indexOf(name) === -1;
+        }
+
+        // Call one hook - a broken plugin must never break tracking
+        function callHook(plugin, hook, args) {
+            if (typeof plugin[hook] !== 'function') return undefined;
+            try {
+                return plugin[hook].apply(plugin, args);
+            } catch (err) {
+                if (config.debug) console.error('[GeoTrack] ❌ Plugin "' + plugin.name + '" ' + hook + ' failed:', err);
+                return undefined;
+            }
+        }
+
+        function runHook(hook) {
+            const args = Array.prototype.slice.call(arguments, 1);
+            plugins.forEach(function(plugin) {
+                callHook(plugin, hook, args);
+            });
+        }
+
+        // beforeSend - mutate the payload, return a replacement, or return
+        // false/null to cancel the event
+        function runBeforeSend(payload) {
+            for (let i = 0; i < plugins.length; i++) {
+                const result = callHook(plugins[i], 'beforeSend', [payload]);
+                if (result === false || result === null) {
+                    if (config.debug) console.log('[GeoTrack] Event cancelled by plugin "' + plugins[i].name + '":', payload.event_name);
+                    inspect(payload, 'cancelled', 'by plugin "' + plugins[i].name + '"');
+                    return null;
+                }
+                if (result && typeof result === 'object') payload = result;
+            }
+            return payload;
+        }
+
+        function processPayload(payload) {
+            const result = runBeforeSend(payload);
+            if (result) dispatch(result);
+        }
+
+        // Public: GeoTrack.use(plugin) - { name, init, beforeSend, afterSend, onError }
+        function use(plugin) {
+            if (!plugin || typeof plugin.name !== 'string') {
+                console.error('[GeoTrack] use() expects a plugin object with a name');
+                return api;
+            }
+            if (!isPluginEnabled(plugin.name)) return api;
+            if (plugins.some(function(p) { return p.name === plugin.name; })) {
+                console.warn('[GeoTrack] Plugin "' + plugin.name + '" is already registered');
+                return api;
+            }
+
+            plugins.push(plugin);
+            if (pluginsReady) callHook(plugin, 'init', [api]);
+            return api;
+        }
+
+        // Plugins registered before init come first, so their beforeSend
+        // hooks also see the events sent by the built-ins' init
+        function setupPlugins() {
+            BUILT_IN_PLUGINS.forEach(function(plugin) {
+                if (isPluginEnabled(plugin.name)) plugins.push(plugin);
+            });
+
+            pluginsReady = true;
+            plugins.slice().forEach(function(plugin) {
+                callHook(plugin, 'init', [api]);
+            });
+        }
+
+        // ============================================
+        // ATTRIBUTION - UTM, click IDs, channel
+        // ============================================
+
+        function getAttributionKey() {
+            return 'gt_attribution_' + config.siteKey;
+        }
+
+        // Storage is only written once consent allows it
+        function canStore() {
+            if (!config.siteKey || consent.state === 'denied') return false;
+            return !config.requireConsent || consent.state === 'granted';
+        }
+
+        function loadAttribution() {
+            try {
+                const stored = JSON.parse(localStorage.getItem(getAttributionKey()) || 'null');
+                if (stored) {
+                    attribution.session_id = stored.session_id;
+                    attribution.first      = stored.first;
+                    attribution.last       = stored.last;
+                }
+            } catch (err) {
+                // Storage disabled or corrupt - attribution starts fresh
+            }
+        }
+
+        function saveAttribution() {
+            if (!canStore()) return;
+
+            try {
+                localStorage.setItem(getAttributionKey(), JSON.stringify(attribution));
+            } catch (err) {
+                // Storage full/disabled - attribution lasts for this page only
+            }
+        }
+
+        // Hostname of an external referrer, or null for internal / none
+        function getReferrerHost(referrer) {
+            if (!referrer) return null;
+            try {
+                const host = new URL(referrer).hostname;
+                return host && host !== window.location.hostname && !isLinkedHost(host)
+                    ? host.replace(/^www\./, '')
+                    : null;
+            } catch (err) {
+                return null;
+            }
+        }
+
+        // Classify a touch into organic_search / social / email / paid / referral / direct.
+        // Direct only when there is neither a referrer nor a utm_source.
+        function getChannel(touch) {
+            const medium = (touch.medium || '').toLowerCase();
+            const source = (touch.source || '').toLowerCase();
+
+            if (touch.click_id || /^(cpc|ppc|cpm|cpv|paid|paidsearch|paid_search|paid_social|display|retargeting)$/.test(medium)) {
+                return 'paid';
+            }
+            if (/e-?mail|newsletter/.test(medium) || /e-?mail|newsletter/.test(source)) return 'email';
+            if (/social/.test(medium) || SOCIAL_SOURCES.test(source) || SOCIAL_NETWORKS.test(source) ||
+                SOCIAL_NETWORKS.test(touch.referrer || '')) {
+                return 'social';
+            }
+            if (medium === 'organic' || SEARCH_SOURCES.test(source) || SEARCH_ENGINES.test(touch.referrer || '')) {
+                return 'organic_search';
+            }
+            if (touch.source || touch.referrer) return 'referral';
+            return 'direct';
+        }
+
+        // Read campaign params / external referrer from the current URL
+        function getTouch(isLanding) {
+            const params = new URLSearchParams(window.location.search);
+            const touch  = {};
+
+            UTM_PARAMS.forEach(function(name) {
+                const value = params.get(name);
+                if (value) touch[name.substring(4)] = value.substring(0, 200);
+            });
+
+            CLICK_ID_PARAMS.some(function(name) {
+                const value = params.get(name);
+                if (!value) return false;
+                touch.click_id      = value.substring(0, 200);
+                touch.click_id_type = name;
+                return true;
+            });
+
+            // External referrer only counts for the landing (hard) pageview, and
+            // not at all when the visitor was handed over by a linked domain
+            const referrer = isLanding && !linked ? getReferrerHost(document.referrer) : null;
+            if (referrer) touch.referrer = referrer;
+
+            return Object.keys(touch).length ? touch : null;
+        }
+
+        // Record a touch - first touch sticks for the session, last touch is the
+        // latest non-direct one (a direct revisit never overwrites a campaign)
+        function captureTouch(isLanding) {
+            const current = touchSession(false);
+            if (attribution.session_id !== current.id) {
+                attribution.session_id = current.id;
+                attribution.first      = null;
+                attribution.last       = null;
+            }
+
+            let touch = getTouch(isLanding);
+            if (!touch && attribution.first) return;
+
+            touch = touch || {};
+            touch.channel      = getChannel(touch);
+            touch.landing_page = window.location.href.split('?')[0];
+            if (config.redact) touch.landing_page = redactUrl(touch.landing_page, 'landing_page', []);
+            touch.timestamp    = new Date().toISOString();
+
+            if (!attribution.first) attribution.first = touch;
+            if (touch.channel !== 'direct' || !attribution.last) attribution.last = touch;
+            saveAttribution();
+        }
+
+        // ============================================
+        // SESSION - inactivity timeout, midnight rollover
+        // ============================================
+
+        function getSessionKey() {
+            return 'gt_session_' + config.siteKey;
+        }
+
+        // Local calendar day - sessions never span midnight
+        function getDay(time) {
+            const date = new Date(time);
+            return date.getFullYear() + '-' + (date.getMonth() + 1) + '-' + date.getDate();
+        }
+
+        function isSessionExpired(candidate, now) {
+            return !candidate ||
+                now - candidate.last_activity > SESSION_TIMEOUT ||
+                getDay(candidate.last_activity) !== getDay(now);
+        }
+
+        // Current session, rolled over if expired - re-read from storage each
+        // time so all tabs of the site share one session
+        function touchSession(isPageview) {
+            const now = Date.now();
+
+            if (canStore()) {
+                try {
+                    const stored = JSON.parse(localStorage.getItem(getSessionKey()) || 'null');
+                    if (stored && stored.id) session = stored;
+                } catch (err) {
+                    // Storage disabled or corrupt - keep the in-memory session
+                }
+            }
+
+            if (isSessionExpired(session, now)) {
+                session = {
+                    id:            generateId(),
+                    started_at:    now,
+                    last_activity: now,
+                    pageviews:     0
+                };
+            }
+
+            session.last_activity = now;
+            if (isPageview) session.pageviews++;
+
+            if (canStore()) {
+                try {
+                    localStorage.setItem(getSessionKey(), JSON.stringify(session));
+                } catch (err) {
+                    // Storage full/disabled - session lasts for this page only
+                }
+            }
+            return session;
+        }
+
+        // Public: GeoTrack.getSession()
+        function getSession() {
+            const now = Date.now();
+            if (isSessionExpired(session, now)) return null;
+
+            return {
+                id:         session.id,
+                started_at: new Date(session.started_at).toISOString(),
+                pageviews:  session.pageviews,
+                is_entry:   session.pageviews <= 1
+            };
+        }
+
+        function getAttribution() {
+            if (!attribution.first || !session || attribution.session_id !== session.id) return null;
+            return {
+                first_touch: attribution.first,
+                last_touch:  attribution.last
+            };
+        }
+
+        // Route a payload according to consent: drop, buffer or queue
+        function dispatch(payload) {
+            if (consent.state === 'denied') {
+                inspect(payload, 'dropped', 'consent denied');
+                return;
+            }
+
+            if (config.requireConsent && consent.state !== 'granted') {
+                inspect(payload, 'buffered', 'waiting for consent');
+                consent.buffer.push(payload);
+                if (consent.buffer.length > MAX_CONSENT_BUFFER) consent.buffer.shift();
+                return;
+            }
+
+            enqueue(payload);
+        }
+
+        // ============================================
+        // CONSENT - GeoTrack.consent(), data-require-consent, GPC
+        // ============================================
+
+        // Lawful basis recorded on every payload
+        function getConsentState() {
+            if (consent.state === 'granted') return 'granted';
+            return config.requireConsent ? 'pending' : 'not_required';
+        }
+
+        function getConsentKey() {
+            return 'gt_consent_' + config.siteKey;
+        }
+
+        function storeConsent(state) {
+            if (!config.siteKey) return;
+            try {
+                localStorage.setItem(getConsentKey(), state);
+            } catch (err) {
+                // Storage disabled - choice lasts for this page only
+            }
+        }
+
+        function setupConsent() {
+            // consent() called before init - persist it now that the site key is known
+            if (consent.state) {
+                storeConsent(consent.state);
+                return;
+            }
+
+            // A decision the visitor made on an earlier page wins over the GPC default
+            try {
+                const stored = localStorage.getItem(getConsentKey());
+                if (stored === 'granted' || stored === 'denied') {
+                    consent.state = stored;
+                    return;
+                }
+            } catch (err) {
+                // Storage disabled - wait for consent()
+            }
+
+            // Global Privacy Control is an opt-out; an explicit consent('granted')
+            // from the site's banner still overrides it
+            if (config.respectGPC && navigator.globalPrivacyControl === true) {
+                consent.state = 'denied';
+                if (config.debug) console.log('[GeoTrack] GPC enabled, tracking disabled');
+            }
+        }
+
+        // Public: GeoTrack.consent('granted' | 'denied')
+        function setConsent(state) {
+            if (state !== 'granted' && state !== 'denied') {
+                console.error('[GeoTrack] consent() expects "granted" or "denied"');
+                return;
+            }
+
+            consent.state = state;
+            storeConsent(state);
+
+            if (config.debug) console.log('[GeoTrack] Consent ' + state);
+
+            const buffered = consent.buffer.splice(0);
+            if (state === 'granted') {
+                // Replay events captured before the banner was accepted
+                touchSession(false);
+                saveAttribution();
+                saveAssignments();
+                upgradeIdentity();
+                buffered.forEach(function(payload) {
+                    payload.consent_state = 'granted';
+                    payload.visitor_hash  = identity.visitorId;
+                    enqueue(payload);
+                });
+
+                // Identity, transport and the initial pageview were never set up
+                if (consent.dntHeld) {
+                    consent.dntHeld = false;
+                    identity.pending.forEach(function(payload) {
+                        payload.consent_state = 'granted';
+                    });
+                    startTracking();
+                }
+            } else {
+                // Withdrawn - discard anything not yet delivered or stored
+                transport.queue.splice(transport.inFlight);
+                clearStoredData();
+            }
+        }
+
+        // Every gt_*_<siteKey> entry this tracker wrote (IDs, session, attribution
+        // with click IDs, orders, experiments, queue) - only the decision itself stays
+        function clearStoredData() {
+            const suffix = '_' + config.siteKey;
+            try {
+                const keys = [];
+                for (let i = 0; i < localStorage.length; i++) keys.push(localStorage.key(i));
+                keys.forEach(function(key) {
+                    if (key && key.indexOf('gt_') === 0 && key.slice(-suffix.length) === suffix &&
+                        key !== getConsentKey()) {
+                        localStorage.removeItem(key);
+                    }
+                });
+            } catch (err) {
+                // Storage disabled - nothing stored
+            }
+        }
+
+        // ============================================
+        // IDENTITY - daily cookieless ID, persistent ID, identify()
+        // ============================================
+
+        function getVisitorKey() {
+            return 'gt_vid_' + config.siteKey;
+        }
+
+        function getUserKey() {
+            return 'gt_user_' + config.siteKey;
+        }
+
+        function getSeedKey() {
+            return 'gt_seed_' + config.siteKey;
+        }
+
+        function removeStored(key) {
+            try {
+                localStorage.removeItem(key);
+            } catch (err) {
+                // Storage disabled - nothing stored
+            }
+        }
+
+        // Device signals for the daily ID - on their own, identical devices
+        // (same phone model, same settings) share one ID; see getDailySeed()
+        function getDeviceSignals() {
+            let timeZone = '';
+            try {
+                timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+            } catch (err) {
+                // Intl unavailable
+            }
+
+            return [
+                navigator.userAgent,
+                navigator.language,
+                (navigator.languages || []).join(','),
+                navigator.platform || '',
+                navigator.hardwareConcurrency || '',
+                navigator.deviceMemory || '',
+                navigator.maxTouchPoints || 0,
+                screen.width + 'x' + screen.height + 'x' + (screen.colorDepth || ''),
+                window.devicePixelRatio || 1,
+                new Date().getTimezoneOffset(),
+                timeZone
+            ].join('|');
+        }
+
+        function toHex(buffer) {
+            return Array.prototype.map.call(new Uint8Array(buffer), function(byte) {
+                return ('0' + byte.toString(16)).slice(-2);
+            }).join('');
+        }
+
+        // Random value for today, shared by all tabs - it is what tells two
+        // identical devices apart. Replaced the next day, so it cannot follow
+        // a visitor across days. Without storage (consent pending) the ID
+        // falls back to the device signals alone.
+        function getDailySeed(day) {
+            if (!canStore()) return '';
+
+            try {
+                const stored = JSON.parse(localStorage.getItem(getSeedKey()) || 'null');
+                if (stored && stored.day === day && stored.seed) return stored.seed;
+
+                const seed = generateId();
+                localStorage.setItem(getSeedKey(), JSON.stringify({ day: day, seed: seed }));
+                return seed;
+            } catch (err) {
+                return '';
+            }
+        }
+
+        // Visitor ID - SHA-256(salt | UTC day | daily seed | device signals),
+        // rotates every day so visitors cannot be followed across days
+        function computeDailyId() {
+            const day  = new Date().toISOString().split('T')[0];
+            const data = [config.salt || config.siteKey, day, getDailySeed(day), getDeviceSignals()].join('|');
+
+            if (!window.crypto || !crypto.subtle || typeof TextEncoder === 'undefined') {
+                // Insecure context (plain http) - SubtleCrypto unavailable
+                return Promise.resolve('h' + hashString(data) + hashString(day + data));
+            }
+
+            return crypto.subtle.digest('SHA-256', new TextEncoder().encode(data)).then(function(digest) {
+                return toHex(digest).substring(0, 32);
+            });
+        }
+
+        // Opt-in first-party ID, kept until reset() or consent is withdrawn
+        function getPersistentId() {
+            try {
+                let id = localStorage.getItem(getVisitorKey());
+                if (!id) {
+                    id = generateId();
+                    localStorage.setItem(getVisitorKey(), id);
+                }
+                return id;
+            } catch (err) {
+                return null;
+            }
+        }
+
+        // Visitor ID known - release events that were waiting for it
+        // Also waits for the high-entropy Client Hints, so held events
+        // go out with full browser/OS versions
+        function identityReady(visitorId) {
+            device.ready.then(function() {
+                identity.visitorId = visitorId;
+                identity.ready     = true;
+
+                identity.pending.splice(0).forEach(function(payload) {
+                    payload.visitor_hash = visitorId;
+                    Object.assign(payload, getDeviceFields());
+                    processPayload(payload);
+                });
+                identity.waiting.splice(0).forEach(function(callback) {
+                    callback(visitorId);
+                });
+            });
+        }
+
+        function whenIdentified(callback) {
+            if (identity.ready) {
+                callback(identity.visitorId);
+            } else {
+                identity.waiting.push(callback);
+            }
+        }
+
+        function setupIdentity() {
+            // identify() is only remembered across pages in persistent mode
+            if (config.identity === 'persistent' && canStore()) {
+                try {
+                    const stored = JSON.parse(localStorage.getItem(getUserKey()) || 'null');
+                    if (stored && !identity.userId) {
+                        identity.userId = stored.user_id;
+                        identity.traits = stored.traits;
+                    }
+                } catch (err) {
+                    // Corrupt - treat as anonymous
+                }
+
+                if (linked) storeLinkedId();
+
+                const persistentId = getPersistentId();
+                if (persistentId) {
+                    identityReady(persistentId);
+                    return;
+                }
+            }
+
+            // Same visitor as on the linked domain, for this page at least
+            if (linked) {
+                identityReady(linked.visitorId);
+                return;
+            }
+
+            computeDailyId().then(identityReady, function(err) {
+                if (config.debug) console.error('[GeoTrack] ❌ Visitor ID failed:', err);
+                identityReady(null);
+            });
+        }
+
+        // Consent granted - switch to the persistent ID if that mode is on
+        function upgradeIdentity() {
+            if (config.identity !== 'persistent' || !identity.ready) return;
+            if (linked) storeLinkedId();
+
+            const persistentId = getPersistentId();
+            if (persistentId) identity.visitorId = persistentId;
+        }
+
+        // Public: GeoTrack.identify(userId, traits) - links this visitor to a user
+        function identify(userId, traits) {
+            if (userId == null || userId === '') {
+                console.error('[GeoTrack] identify() requires a user ID');
+                return;
+            }
+
+            identity.userId = String(userId);
+            identity.traits = traits || {};
+
+            if (config.identity === 'persistent' && canStore()) {
+                try {
+                    localStorage.setItem(getUserKey(), JSON.stringify({
+                        user_id: identity.userId,
+                        traits:  identity.traits
+                    }));
+                } catch (err) {
+                    // Storage full/disabled - user known for this page only
+                }
+            }
+
+            sendEvent('custom', {
+                event_name: 'identify',
+                event_data: identity.traits
+            });
+        }
+
+        // Public: GeoTrack.reset() - logout; forget the user and start fresh
+        function reset() {
+            identity.userId = null;
+            identity.traits = null;
+            removeStored(getUserKey());
+
+            if (config.identity === 'persistent' && canStore()) {
+                removeStored(getVisitorKey());
+                identity.visitorId = getPersistentId();
+            }
+
+            session = null;
+            removeStored(getSessionKey());
+        }
+
+        // ============================================
+        // CROSS-DOMAIN - data-cross-domain linker (?_gtl=...)
+        // ============================================
+
+        // Linker tokens are issued and verified by the backend, which signs them
+        // with a key that never reaches the browser (HMAC over visitor, session,
+        // issue time and the issuing site). It only accepts them for a couple of
+        // minutes, so shared or bookmarked URLs don't merge different people
+        // into one visitor, and decides which sites may link to each other.
+        const LINKER_TOKEN = /^[\w.~-]{1,1024}$/;
+        const LINKER_ID    = /^[\w-]{1,64}$/;
+        const LINKER_REFRESH_MARGIN = 15 * 1000;
+
+        // How long identity waits for the backend to verify an incoming token
+        const LINKER_VERIFY_TIMEOUT = 2000;
+
+        // Visitor + session adopted from a linked domain on this page load
+        let linked = null;
+
+        // Token for outgoing links - fetched ahead of time, since clicks
+        // can't wait for a request
+        const linker = {
+            token:     null,
+            visitorId: null,
+            sessionId: null,
+            expires:   0,
+            loading:   false,
+            timer:     null
+        };
+
+        function isLinkedHost(hostname) {
+            const host = (hostname || '').toLowerCase();
+            if (!host || host === window.location.hostname) return false;
+
+            return config.crossDomain.some(function(domain) {
+                return host === domain || host.slice(-domain.length - 1) === '.' + domain;
+            });
+        }
+
+        function postLinker(endpoint, body) {
+            return fetch(getCollectUrl(config.apiUrl, endpoint), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Site-Key':   config.siteKey
+                },
+                body: JSON.stringify(Object.assign({ site_key: config.siteKey }, body))
+            }).then(function(res) {
+                if (!res.ok) throw new Error('HTTP ' + res.status);
+                return res.json();
+            });
+        }
+
+        // Ask the backend for a token carrying this visitor and session
+        function refreshLinker() {
+            clearTimeout(linker.timer);
+            linker.timer = null;
+            if (linker.loading || config.dryRun || !identity.visitorId || isSessionExpired(session, Date.now())) return;
+
+            const current = { visitorId: identity.visitorId, sessionId: session.id };
+            linker.loading = true;
+
+            postLinker('linker', {
+                visitor_id: current.visitorId,
+                session_id: current.sessionId,
+                pageviews:  session.pageviews
+            }).then(function(data) {
+                linker.loading = false;
+                if (!data || typeof data.token !== 'string' || !LINKER_TOKEN.test(data.token)) {
+                    throw new Error('Invalid linker token');
+                }
+
+                const lifetime = Math.max(0, (parseInt(data.expires_in, 10) || 0) * 1000 - LINKER_REFRESH_MARGIN);
+                linker.token     = data.token;
+                linker.visitorId = current.visitorId;
+                linker.sessionId = current.sessionId;
+                linker.expires   = Date.now() + lifetime;
+
+                // Keep a fresh one while the page is visible; hidden pages
+                // refresh when they come back
+                if (lifetime && document.visibilityState !== 'hidden') {
+                    linker.timer = setTimeout(refreshLinker, lifetime);
+                }
+            }).catch(function(err) {
+                linker.loading = false;
+                if (config.debug) console.warn('[GeoTrack] ⚠️ Cross-domain token failed:', err.message);
+            });
+        }
+
+        // The current token, or null (and a refresh) when it is stale or
+        // belongs to an older visitor/session - the link then goes undecorated
+        function createLinker() {
+            if (!identity.visitorId || isSessionExpired(session, Date.now())) return null;
+
+            const fresh = linker.token && Date.now() < linker.expires &&
+                linker.visitorId === identity.visitorId && linker.sessionId === session.id;
+            if (!fresh) {
+                refreshLinker();
+                return null;
+            }
+            return linker.token;
+        }
+
+        // Add a fresh linker to a URL, replacing any older one
+        function decorateUrl(url, token) {
+            const hashIndex = url.indexOf('#');
+            const hash = hashIndex > -1 ? url.substring(hashIndex) : '';
+            const base = removeLinkerParam(hashIndex > -1 ? url.substring(0, hashIndex) : url);
+
+            return base + (base.indexOf('?') > -1 ? '&' : '?') + LINKER_PARAM + '=' + encodeURIComponent(token) + hash;
+        }
+
+        function decorateLink(link) {
+            if (!isLinkedHost(link.hostname)) return;
+
+            const token = createLinker();
+            if (token) link.href = decorateUrl(link.href, token);
+        }
+
+        // Public: GeoTrack.linkUrl(url) - for navigations done in JavaScript
+        function linkUrl(url) {
+            try {
+                const target = new URL(url, window.location.href);
+                const token  = isLinkedHost(target.hostname) && createLinker();
+                return token ? decorateUrl(target.href, token) : url;
+            } catch (err) {
+                return url;
+            }
+        }
+
+        // Resolves once the incoming token is verified (and adopted) or
+        // rejected - never fails, an unverified link just isn't honoured
+        function readLinker() {
+            if (!incomingLinker || !LINKER_TOKEN.test(incomingLinker)) {
+                if (incomingLinker && config.debug) console.warn('[GeoTrack] ⚠️ Ignored invalid cross-domain link');
+                return Promise.resolve();
+            }
+
+            const verified = postLinker('linker/verify', { token: incomingLinker });
+            const timeout  = new Promise(function(resolve, reject) {
+                setTimeout(function() { reject(new Error('timed out')); }, LINKER_VERIFY_TIMEOUT);
+            });
+
+            return Promise.race([verified, timeout]).then(adoptLinker).catch(function(err) {
+                if (config.debug) console.warn('[GeoTrack] ⚠️ Ignored cross-domain link:', err.message);
+            });
+        }
+
+        // Continue the linked domain's visitor and session - events built
+        // while the token was being verified are moved over to it
+        function adoptLinker(data) {
+            if (!data || !LINKER_ID.test(data.visitor_id) || !LINKER_ID.test(data.session_id)) {
+                throw new Error('rejected');
+            }
+
+            linked = {
+                visitorId: data.visitor_id,
+                sessionId: data.session_id
+            };
+
+            // This page is not an entrance - it continues the other domain's count
+            let pageviews = Math.max(1, parseInt(data.pageviews, 10) || 0);
+            identity.pending.forEach(function(payload) {
+                if (payload.event_type === 'pageview') pageviews++;
+                payload.session_id        = linked.sessionId;
+                payload.session_pageviews = pageviews;
+                payload.is_entry          = false;
+            });
+
+            const now = Date.now();
+            session = {
+                id:            linked.sessionId,
+                started_at:    now,
+                last_activity: now,
+                pageviews:     pageviews
+            };
+            if (canStore()) {
+                try {
+                    localStorage.setItem(getSessionKey(), JSON.stringify(session));
+                } catch (err) {
+                    // Storage full/disabled - session lasts for this page only
+                }
+            }
+
+            // Landing attribution belongs to the continued session
+            attribution.session_id = linked.sessionId;
+            saveAttribution();
+
+            if (config.debug) console.log('[GeoTrack] 🔗 Visitor linked from another domain:', linked);
+        }
+
+        // Persistent mode - the linked ID replaces this domain's own
+        function storeLinkedId() {
+            if (!canStore()) return;
+            try {
+                localStorage.setItem(getVisitorKey(), linked.visitorId);
+            } catch (err) {
+                // Storage disabled - linked for this page only
+            }
+        }
+
+        // Links are decorated in the click listener; this covers links opened
+        // with the middle button or context menu, and form submissions
+        function setupCrossDomain() {
+            whenIdentified(refreshLinker);
+            document.addEventListener('visibilitychange', function() {
+                if (document.visibilityState === 'visible') createLinker();
+            });
+
+            document.addEventListener('mousedown', function(e) {
+                const link = e.target && e.target.closest ? e.target.closest('a') : null;
+                if (link) decorateLink(link);
+            }, true);
+
+            document.addEventListener('submit', function(e) {
+                const form = e.target;
+                if (!form || form.tagName !== 'FORM') return;
+
+                let action;
+                try {
+                    action = new URL(form.getAttribute('action') || '', window.location.href);
+                } catch (err) {
+                    return;
+                }
+
+                const linker = isLinkedHost(action.hostname) && createLinker();
+                if (!linker) return;
+
+                // GET forms replace the action's query string with their fields
+                if ((form.getAttribute('method') || 'get').toLowerCase() === 'get') {
+                    let input = form.querySelector('input[name="' + LINKER_PARAM + '"]');
+                    if (!input) {
+                        input = document.createElement('input');
+                        input.type = 'hidden';
+                        input.name = LINKER_PARAM;
+                        form.appendChild(input);
+                    }
+                    input.value = linker;
+                } else {
+                    form.setAttribute('action', decorateUrl(action.href, linker));
+                }
+            }, true);
+        }
+
+        // ============================================
+        // EXPERIMENTS - GeoTrack.experiment(name, variants, weights)
+        // ============================================
+
+        // Variant per experiment name - persisted, so visitors keep their variant
+        // after the daily visitor ID rotates or the experiment's weights change
+        const experiments = {
+            assigned: {},
+            exposed:  {},
+            loaded:   false
+        };
+
+        function getExperimentsKey() {
+            return 'gt_exp_' + config.siteKey;
+        }
+
+        function loadAssignments() {
+            if (experiments.loaded) return;
+            experiments.loaded = true;
+            try {
+                const stored = JSON.parse(localStorage.getItem(getExperimentsKey()) || '{}');
+                experiments.assigned = Object.assign(stored || {}, experiments.assigned);
+            } catch (err) {
+                // Corrupt - visitors are bucketed again, deterministically
+            }
+        }
+
+        // Remembered in memory always, on disk only when storage is allowed
+        function saveAssignments() {
+            if (!canStore() || Object.keys(experiments.assigned).length === 0) return;
+            try {
+                localStorage.setItem(getExperimentsKey(), JSON.stringify(experiments.assigned));
+            } catch (err) {
+                // Storage full/disabled - assignments last for this page only
+            }
+        }
+
+        // Sent on every event, so goal events carry the variant that led to them
+        function getAssignments() {
+            loadAssignments();
+            return Object.keys(experiments.assigned).length ? Object.assign({}, experiments.assigned) : null;
+        }
+
+        // [0, 1), the same on every browser and page load
+        function getBucket(key) {
+            return fnv1a(key) / 4294967296;
+        }
+
+        // Equal split unless one non-negative weight per variant is given
+        function getWeights(weights, count) {
+            if (weights == null) return new Array(count).fill(1);
+
+            const valid = Array.isArray(weights) && weights.length === count &&
+                weights.every(function(weight) { return isFinite(weight) && weight >= 0; }) &&
+                weights.some(function(weight) { return weight > 0; });
+            if (!valid) {
+                console.error('[GeoTrack] experiment() weights must be one non-negative number per variant, using an equal split');
+                return new Array(count).fill(1);
+            }
+            return weights.map(Number);
+        }
+
+        // Salted with the experiment name, so a visitor in the first variant
+        // of one experiment isn't always first in every other
+        function pickVariant(name, variants, weights, seed) {
+            const total = weights.reduce(function(sum, weight) { return sum + weight; }, 0);
+            let point = getBucket(name + ':' + seed) * total;
+
+            for (let i = 0; i < variants.length; i++) {
+                point -= weights[i];
+                if (point < 0) return variants[i];
+            }
+            return variants[variants.length - 1];
+        }
+
+        // Public: GeoTrack.experiment('pricing_cta', ['control', 'green'], [50, 50])
+        // Resolves to the visitor's variant and sends one exposure per page.
+        // The queue drops return values, so geotrack('experiment', ...) takes a
+        // callback as the last argument instead: (name, variants, [weights], callback)
+        function experiment(name, variants, weights, callback) {
+            if (typeof weights === 'function') {
+                callback = weights;
+                weights  = null;
+            }
+
+            if (!name || !Array.isArray(variants) || variants.length < 2) {
+                console.error('[GeoTrack] experiment() requires a name and at least two variants');
+                return Promise.resolve(null);
+            }
+
+            name     = String(name).substring(0, 100);
+            variants = variants.map(function(variant) { return String(variant).substring(0, 100); });
+            const split = getWeights(weights, variants.length);
+
+            return new Promise(function(resolve) {
+                whenIdentified(function(visitorId) {
+                    loadAssignments();
+
+                    // New visitor, or their variant was removed from the experiment
+                    let variant = experiments.assigned[name];
+                    if (variants.indexOf(variant) === -1) {
+                        variant = pickVariant(name, variants, split, visitorId || generateId());
+                        experiments.assigned[name] = variant;
+                        saveAssignments();
+                    }
+
+                    if (experiments.exposed[name] !== page.key) {
+                        experiments.exposed[name] = page.key;
+                        sendEvent('custom', {
+                            event_name: 'experiment_exposure',
+                            event_data: {
+                                experiment: name,
+                                variant:    variant,
+                                variants:   variants
+                            }
+                        });
+                    }
+
+                    if (typeof callback === 'function') {
+                        try {
+                            callback(variant);
+                        } catch (err) {
+                            console.error('[GeoTrack] ❌ experiment() callback failed:', err);
+                        }
+                    }
+                    resolve(variant);
+                });
+            });
+        }
+
+        // ============================================
+        // E-COMMERCE - GeoTrack.ecommerce.viewItem/addToCart/beginCheckout/purchase
+        // ============================================
+
+        const MAX_ORDER_IDS = 50;
+
+        // Order IDs already sent - guards against purchase() firing twice
+        // (thank-you page reloads, back button)
+        const orders = {
+            ids:    [],
+            loaded: false
+        };
+
+        function getOrdersKey() {
+            return 'gt_orders_' + config.siteKey;
+        }
+
+        function sendCommerce(eventName, details) {
+            sendEvent('custom', {
+                event_name: eventName,
+                event_data: getCommerceData(details, config.currency)
+            });
+        }
+
+        function loadOrders() {
+            if (orders.loaded) return;
+            orders.loaded = true;
+            try {
+                orders.ids = JSON.parse(localStorage.getItem(getOrdersKey()) || '[]');
+            } catch (err) {
+                orders.ids = [];
+            }
+        }
+
+        // Remembered in memory always, on disk only when storage is allowed
+        function rememberOrder(orderId) {
+            orders.ids.push(orderId);
+            if (orders.ids.length > MAX_ORDER_IDS) orders.ids.shift();
+            if (!canStore()) return;
+            try {
+                localStorage.setItem(getOrdersKey(), JSON.stringify(orders.ids));
+            } catch (err) {
+                // Storage full or blocked - the in-memory list still dedupes this page
+            }
+        }
+
+        function viewItem(details) {
+            sendCommerce('view_item', details);
+        }
+
+        function addToCart(details) {
+            sendCommerce('add_to_cart', details);
+        }
+
+        function beginCheckout(details) {
+            sendCommerce('begin_checkout', details);
+        }
+
+        // Returns false when the order was already tracked
+        function purchase(details) {
+            details = details || {};
+            const orderId = details.order_id || details.transaction_id;
+            if (!orderId) {
+                console.error('[GeoTrack] purchase() requires an order_id');
+                return false;
+            }
+
+            loadOrders();
+            if (orders.ids.indexOf(String(orderId)) !== -1) {
+                if (config.debug) console.warn('[GeoTrack] Duplicate order ignored:', orderId);
+                return false;
+            }
+            rememberOrder(String(orderId));
+
+            sendEvent('custom', {
+                event_name: 'purchase',
+                event_data: getPurchaseData(details, config.currency)
+            });
+            return true;
+        }
+
+        // ============================================
+        // TRANSPORT - localStorage queue, batching, retry
+        // ============================================
+
+        // One queue per site key
+        function getQueueKey() {
+            return 'gt_queue_' + transport.id + '_' + config.siteKey;
+        }
+
+        // gt_queue_<page id>_<siteKey>, or the older shared gt_queue_<siteKey>
+        function isQueueKey(key) {
+            const suffix = '_' + config.siteKey;
+            if (!key || key.indexOf('gt_queue_') !== 0 || key.slice(-suffix.length) !== suffix) return false;
+
+            const id = key.slice(9, -suffix.length);
+            return key === 'gt_queue' + suffix || /^[a-z0-9-]+$/i.test(id);
+        }
+
+        // Take over the queues of closed tabs - a live tab's queue (and the
+        // batch it has in flight) is left to that tab
+        function loadQueue() {
+            const now     = Date.now();
+            const seen    = {};
+            let   adopted = [];
+
+            transport.queue.forEach(function(payload) { seen[payload.event_id] = true; });
+
+            try {
+                const keys = [];
+                for (let i = 0; i < localStorage.length; i++) keys.push(localStorage.key(i));
+
+                keys.filter(isQueueKey).forEach(function(key) {
+                    if (key === getQueueKey()) return;
+
+                    let stored = null;
+                    try {
+                        stored = JSON.parse(localStorage.getItem(key) || 'null');
+                    } catch (err) {
+                        // Corrupt - dropped below
+                    }
+
+                    const events  = Array.isArray(stored) ? stored : stored && stored.events;
+                    const updated = stored && !Array.isArray(stored) ? stored.updated : 0;
+                    if (now - updated < QUEUE_ORPHAN_AGE) return;
+
+                    localStorage.removeItem(key);
+                    (Array.isArray(events) ? events : []).forEach(function(payload) {
+                        if (!payload || seen[payload.event_id]) return;
+                        seen[payload.event_id] = true;
+                        adopted.push(payload);
+                    });
+                });
+            } catch (err) {
+                // Storage disabled (private mode) - start empty
+            }
+
+            if (adopted.length) {
+                transport.queue = adopted.concat(transport.queue).slice(-MAX_QUEUE_SIZE);
+                saveQueue();
+            }
+        }
+
+        function saveQueue() {
+            try {
+                // Gone while this page was frozen (bfcache) or starved of timers -
+                // another tab took those events over and sends them
+                if (transport.persisted.length && localStorage.getItem(getQueueKey()) === null) {
+                    const taken = {};
+                    transport.persisted.forEach(function(id) { taken[id] = true; });
+
+                    const inFlight = transport.queue.slice(0, transport.inFlight);
+                    const rest     = transport.queue.slice(transport.inFlight).filter(function(payload) {
+                        return !taken[payload.event_id];
+                    });
+                    transport.queue = inFlight.concat(rest);
+                }
+
+                if (transport.queue.length) {
+                    localStorage.setItem(getQueueKey(), JSON.stringify({
+                        updated: Date.now(),
+                        events:  transport.queue
+                    }));
+                } else {
+                    localStorage.removeItem(getQueueKey());
+                }
+                transport.persisted = transport.queue.map(function(payload) { return payload.event_id; });
+            } catch (err) {
+                // Quota exceeded - queue stays in memory only
+            }
+        }
+
+        function enqueue(payload) {
+            transport.queue.push(payload);
+            inspect(payload, 'queued');
+
+            // Drop the oldest events rather than grow without bound while offline
+            if (transport.queue.length > MAX_QUEUE_SIZE) {
+                transport.queue.splice(0, transport.queue.length - MAX_QUEUE_SIZE);
+            }
+            saveQueue();
+
+            if (transport.queue.length >= BATCH_SIZE) {
+                flush();
+            } else {
+                scheduleFlush(FLUSH_DELAY);
+            }
+        }
+
+        function dequeue(count) {
+            transport.queue.splice(0, count);
+            saveQueue();
+        }
+
+        function scheduleFlush(delay) {
+            if (transport.timer) return;
+            transport.timer = setTimeout(flush, delay);
+        }
+
+        function retryLater() {
+            const delay = getRetryDelay(transport.retries);
+            transport.retries++;
+
+            // Still alive - keeps other tabs from taking the queue over
+            saveQueue();
+
+            if (config.debug) {
+                console.log('[GeoTrack] ⏳ Retrying in ' + Math.round(delay / 1000) + 's');
+            }
+            scheduleFlush(delay);
+        }
+
+        // Send the next batch via fetch (X-Site-Key header)
+        function flush() {
+            transport.timer = null;
+            if (transport.inFlight || !transport.queue.length) return;
+
+            if (config.dryRun) {
+                dryRunFlush();
+                return;
+            }
+
+            if (navigator.onLine === false) {
+                retryLater();
+                return;
+            }
+
+            const batch = transport.queue.slice(0, BATCH_SIZE);
+            transport.inFlight = batch.length;
+
+            fetch(getCollectUrl(config.apiUrl, 'batch'), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Site-Key':   config.siteKey  // ✅ Site key header mein
+                },
+                body: serializeBatch(config.siteKey, batch),
+                keepalive: true  // Page unload par bhi kaam karega
+            })
+            .then(function(res) {
+                // 5xx / rate limited - keep the batch and retry
+                if (isRetryableStatus(res.status)) {
+                    throw new Error('HTTP ' + res.status);
+                }
+
+                // Anything else is final - a rejected batch will never succeed
+                transport.inFlight = 0;
+                transport.retries  = 0;
+                dequeue(batch.length);
+
+                if (!res.ok) {
+                    const rejected = new Error('HTTP ' + res.status);
+                    rejected.status = res.status;
+                    batch.forEach(function(payload) {
+                        runHook('onError', rejected, payload);
+                        inspect(payload, 'rejected', 'HTTP ' + res.status);
+                    });
+                    if (config.debug) console.error('[GeoTrack] ❌ Batch rejected: HTTP ' + res.status);
+                } else {
+                    batch.forEach(function(payload) {
+                        runHook('afterSend', payload, { status: res.status, transport: 'fetch' });
+                        inspect(payload, 'sent', 'HTTP ' + res.status);
+                    });
+                    if (config.debug) {
+                        res.json().then(function(data) {
+                            console.log('[GeoTrack] ✅ Batch saved:', batch.length, data);
+                            batch.forEach(function(payload) {
+                                inspect(payload, 'sent', 'HTTP ' + res.status + ' ' + JSON.stringify(data));
+                            });
+                        }).catch(function() {});
+                    }
+                }
+
+                if (transport.queue.length) scheduleFlush(0);
+            })
+            .catch(function(err) {
+                transport.inFlight = 0;
+                batch.forEach(function(payload) {
+                    runHook('onError', err, payload);
+                    inspect(payload, 'retrying', err.message);
+                });
+                if (config.debug) {
+                    console.error('[GeoTrack] ❌ Error:', err);
+                }
+                retryLater();
+            });
+        }
+
+        // Send everything not already in flight via sendBeacon (page is going away)
+        function flushBeacon() {
+            if (config.dryRun) {
+                dryRunFlush();
+                return;
+            }
+
+            if (!navigator.sendBeacon) {
+                flush();
+                return;
+            }
+
+            while (transport.queue.length > transport.inFlight) {
+                const batch = transport.queue.slice(transport.inFlight, transport.inFlight + BATCH_SIZE);
+                const body  = serializeBatch(config.siteKey, batch);
+
+                // text/plain keeps the beacon a simple request (no CORS preflight);
+                // site_key travels in the body since beacons cannot set headers
+                const queued = navigator.sendBeacon(
+                    getCollectUrl(config.apiUrl, 'batch'),
+                    new Blob([body], { type: 'text/plain;charset=UTF-8' })
+                );
+                if (!queued) break;
+
+                transport.queue.splice(transport.inFlight, batch.length);
+                batch.forEach(function(payload) {
+                    runHook('afterSend', payload, { status: null, transport: 'beacon' });
+                    inspect(payload, 'sent', 'beacon');
+                });
+            }
+            saveQueue();
+        }
+
+        // data-dry-run - everything except the network request
+        function dryRunFlush() {
+            const batch = transport.queue.splice(transport.inFlight);
+            saveQueue();
+
+            batch.forEach(function(payload) {
+                runHook('afterSend', payload, { status: null, transport: 'dry-run' });
+                inspect(payload, 'dry-run', 'not sent');
+            });
+            if (config.debug) console.log('[GeoTrack] 🧪 Dry run - not sent:', batch.length, batch);
+        }
+
+        // ============================================
+        // INSPECTOR - debug overlay for data-debug / ?geotrack_debug=1
+        // ============================================
+
+        const MAX_INSPECTED = 50;
+
+        const STATUS_COLORS = {
+            'built':     '#94a3b8',
+            'queued':    '#3b82f6',
+            'buffered':  '#f59e0b',
+            'sent':      '#22c55e',
+            'dry-run':   '#a855f7',
+            'retrying':  '#f59e0b',
+            'rejected':  '#ef4444',
+            'cancelled': '#64748b',
+            'dropped':   '#64748b'
+        };
+
+        const inspector = {
+            panel:   null,
+            records: [],
+            byId:    {}
+        };
+
+        function isDebugUrl() {
+            return /[?&]geotrack_debug=1(?:&|#|$)/.test(window.location.search + window.location.hash);
+        }
+
+        function inspect(payload, status, detail, warnings) {
+            if (!inspector.panel) return;
+
+            let record = inspector.byId[payload.event_id];
+            if (!record) {
+                record = { time: new Date(), warnings: [], open: false };
+                inspector.byId[payload.event_id] = record;
+                inspector.records.unshift(record);
+                if (inspector.records.length > MAX_INSPECTED) {
+                    delete inspector.byId[inspector.records.pop().payload.event_id];
+                }
+            }
+
+            record.payload = payload;
+            record.status  = status;
+            record.detail  = detail || null;
+            if (warnings) record.warnings = warnings;
+            renderInspector();
+        }
+
+        function renderRecord(record) {
+            const payload = record.payload;
+            const label   = payload.event_type + (payload.event_name ? ' · ' + payload.event_name : '');
+
+            return '<details data-gt-id="' + escapeHtml(payload.event_id) + '"' + (record.open ? ' open' : '') +
+                ' style="border-top: 1px solid #1e293b; padding: 4px 0;">' +
+                '<summary style="cursor: pointer;">' +
+                    '<span style="color: #64748b;">' + record.time.toTimeString().substring(0, 8) + '</span> ' +
+                    escapeHtml(label) +
+                    ' <span style="color: ' + (STATUS_COLORS[record.status] || '#94a3b8') + ';">● ' + record.status + '</span>' +
+                    (record.warnings.length ? ' <span style="color: #f59e0b;">⚠ ' + record.warnings.length + '</span>' : '') +
+                '</summary>' +
+                record.warnings.map(function(warning) {
+                    return '<div style="color: #f59e0b;">⚠ ' + escapeHtml(warning) + '</div>';
+                }).join('') +
+                (record.detail ? '<div style="color: #94a3b8;">' + escapeHtml(record.detail) + '</div>' : '') +
+                '<pre style="white-space: pre-wrap; word-break: break-all; max-height: 200px; overflow: auto; margin: 4px 0; color: #cbd5e1;">' +
+                    escapeHtml(JSON.stringify(payload, null, 2)) +
+                '</pre>' +
+            '</details>';
+        }
+
+        function renderInspector() {
+            const panel = inspector.panel;
+            if (!panel) return;
+
+            panel.querySelector('[data-gt-state]').textContent =
+                'Queue ' + transport.queue.length +
+                ' · in flight ' + transport.inFlight +
+                ' · retries ' + transport.retries +
+                ' · consent ' + (consent.state === 'denied' ? 'denied' : getConsentState()) +
+                (identity.ready ? '' : ' · waiting for visitor ID');
+
+            panel.querySelector('[data-gt-events]').innerHTML = inspector.records.length
+                ? inspector.records.map(renderRecord).join('')
+                : '<div style="color: #64748b;">No events yet</div>';
+        }
+
+        function setupInspector() {
+            if (inspector.panel || !document.body) return;
+
+            const panel = document.createElement('div');
+            panel.style.cssText = 'background: #0f172a; color: #e2e8f0; border: 1px solid #334155; border-radius: 8px;' +
+                'box-shadow: 0 10px 30px rgba(0, 0, 0, 0.4); padding: 8px 10px; overflow: auto; max-height: 60vh;';
+            panel.innerHTML =
+                '<div style="display: flex; justify-content: space-between; align-items: center; gap: 8px;">' +
+                    '<strong>📍 GeoTrack · ' + escapeHtml(name) + ' · ' + escapeHtml(config.siteKey) +
+                        (config.dryRun ? ' · <span style="color: #a855f7;">DRY RUN</span>' : '') + '</strong>' +
+                    '<span style="white-space: nowrap;">' +
+                        '<button type="button" data-gt-action="flush">Flush</button> ' +
+                        '<button type="button" data-gt-action="clear">Clear</button> ' +
+                        '<button type="button" data-gt-action="collapse">–</button>' +
+                    '</span>' +
+                '</div>' +
+                '<div data-gt-body>' +
+                    '<div data-gt-state style="color: #94a3b8; margin: 4px 0;"></div>' +
+                    '<div data-gt-events></div>' +
+                '</div>';
+
+            panel.addEventListener('click', function(e) {
+                const action = e.target.getAttribute && e.target.getAttribute('data-gt-action');
+                if (action === 'flush') {
+                    flush();
+                } else if (action === 'clear') {
+                    inspector.records = [];
+                    inspector.byId    = {};
+                    renderInspector();
+                } else if (action === 'collapse') {
+                    const body = panel.querySelector('[data-gt-body]');
+                    body.style.display = body.style.display === 'none' ? '' : 'none';
+                }
+            });
+
+            // Keep expanded payloads open across re-renders ('toggle' doesn't bubble)
+            panel.addEventListener('toggle', function(e) {
+                const id = e.target.getAttribute && e.target.getAttribute('data-gt-id');
+                if (id && inspector.byId[id]) inspector.byId[id].open = e.target.open;
+            }, true);
+
+            getInspectorRoot().appendChild(panel);
+            inspector.panel = panel;
+            renderInspector();
+        }
+
+        // Setup queue flushing on reconnect and page hide
+        function setupTransport() {
+            window.addEventListener('online', function() {
+                transport.retries = 0;
+                flush();
+            });
+
+            document.addEventListener('visibilitychange', function() {
+                if (document.hidden) flushBeacon();
+            });
+
+            window.addEventListener('pagehide', flushBeacon);
+
+            // Back from the bfcache - drop events another tab took over meanwhile
+            window.addEventListener('pageshow', function(e) {
+                if (e.persisted) saveQueue();
+            });
+
+            if (transport.queue.length) scheduleFlush(FLUSH_DELAY);
+        }
+
+        // Track pageview
+        function trackPageview() {
+            page.key   = getRouteKey();
+            page.url   = window.location.href;
+            page.title = document.title;
+
+            sendEvent('pageview', {
+                event_name: 'page_view'
+            });
+        }
+
+        // Track custom event
+        function track(eventName, eventData = {}) {
+            sendEvent('custom', {
+                event_name: eventName,
+                event_data: eventData
+            });
+        }
+
+        // Collect data-geotrack-prop-* attributes (data-geotrack-prop-plan-name -> plan_name)
+        function getDataProps(el) {
+            const props = {};
+            Array.prototype.forEach.call(el.attributes, function(attr) {
+                if (attr.name.indexOf('data-geotrack-prop-') !== 0) return;
+                props[attr.name.substring(19).replace(/-/g, '_')] = attr.value;
+            });
+            return props;
+        }
+
+        // File extension of a download link, or null
+        function getDownloadExtension(link) {
+            const match = (link.pathname || '').toLowerCase().match(/\.([a-z0-9]+)$/);
+            if (match && config.downloadExtensions.indexOf(match[1]) > -1) return match[1];
+            return link.hasAttribute('download') ? (match ? match[1] : 'file') : null;
+        }
+
+        // Setup click tracking - one delegated listener for declarative
+        // events (data-geotrack-event), file downloads and linkHandlers
+        function setupClickTracking() {
+            document.addEventListener('click', function(e) {
+                const target = e.target;
+                if (!target || !target.closest) return;
+
+                // Links to data-cross-domain sites carry the visitor along,
+                // whatever is tracked for the click itself
+                const link = target.closest('a');
+                if (link) decorateLink(link);
+
+                // Explicitly tagged elements win over automatic link tracking
+                // (forms are tagged for their submit, not for clicks inside them)
+                const tagged = target.closest('[data-geotrack-event]');
+                if (tagged && tagged.tagName !== 'FORM') {
+                    sendEvent('click', {
+                        event_name: tagged.getAttribute('data-geotrack-event'),
+                        event_data: withElement(getDataProps(tagged), tagged)
+                    });
+                    return;
+                }
+
+                if (!link || link.hasAttribute('data-geotrack-ignore')) return;
+
+                const href = link.getAttribute('href');
+                if (!href || href.startsWith('#')) return;
+
+                const text = link.textContent.trim().substring(0, 100);
+
+                const extension = config.trackDownloads && getDownloadExtension(link);
+                if (extension) {
+                    sendEvent('click', {
+                        event_name: 'file_download',
+                        event_data: withElement({
+                            url:       href,
+                            extension: extension,
+                            text:      text
+                        }, link)
+                    });
+                    return;
+                }
+
+                linkHandlers.forEach(function(handler) {
+                    handler(link, href, text);
+                });
+            }, true);
+        }
+
+        // Outbound link tracking (built-in "outbound" plugin) - data-cross-domain
+        // sites are the same site, not outbound
+        function trackOutboundLink(link, href, text) {
+            const isOutbound = link.hostname && link.hostname !== window.location.hostname &&
+                !isLinkedHost(link.hostname);
+            if (!isOutbound) return;
+
+            sendEvent('click', {
+                event_name: 'outbound_click',
+                event_data: withElement({
+                    url:  href,
+                    text: text
+                }, link)
+            });
+        }
+
+        // Setup form submission tracking - field names only, never values
+        function setupFormTracking() {
+            document.addEventListener('submit', function(e) {
+                const form = e.target;
+                if (!form || form.tagName !== 'FORM' || form.hasAttribute('data-geotrack-ignore')) return;
+
+                const fields = [];
+                Array.prototype.forEach.call(form.elements, function(field) {
+                    if (!field.name || field.name === LINKER_PARAM || fields.indexOf(field.name) > -1) return;
+                    if (['submit', 'button', 'reset', 'image'].indexOf(field.type) > -1) return;
+                    fields.push(field.name);
+                });
+
+                sendEvent('custom', {
+                    event_name: form.getAttribute('data-geotrack-event') || 'form_submit',
+                    event_data: Object.assign({
+                        form_id:     form.id || null,
+                        form_name:   form.getAttribute('name') || null,
+                        form_action: cleanSource(form.getAttribute('action') ? form.action : ''),
+                        fields:      fields
+                    }, getDataProps(form))
+                });
+            }, true);
+        }
+
+        // Send time spent on the current (virtual) page - visible time plus
+        // engaged time for this visible stretch, so both can be summed per page
+        function sendTimeOnPage(url, title) {
+            if (!timer.enabled || !timer.isVisible) return;
+
+            pauseEngagement();
+            const engagedSeconds = Math.round(engagement.total / 1000);
+            engagement.total = 0;
+
+            const timeSpent = Math.round((Date.now() - timer.startTime) / 1000);
+            if (timeSpent > 0) {
+                sendEvent('custom', {
+                    event_name: 'time_on_page',
+                    event_data: {
+                        duration_seconds: timeSpent,
+                        engaged_seconds:  engagedSeconds,
+                        max_scroll_depth: engagement.maxScroll
+                    },
+                    url:        url || window.location.href,
+                    page_title: title || document.title
+                });
+            }
+        }
+
+        // Restart the time-on-page clock
+        function restartTimer() {
+            timer.startTime = Date.now();
+            timer.isVisible = !document.hidden;
+            markActive();
+        }
+
+        // Setup visibility tracking (time on page)
+        function setupVisibilityTracking() {
+            timer.enabled = true;
+            restartTimer();
+
+            document.addEventListener('visibilitychange', function() {
+                if (document.hidden) {
+                    sendTimeOnPage();
+                    timer.isVisible = false;
+                } else {
+                    restartTimer();
+                }
+            });
+
+            // Covers browsers that unload without a visibilitychange
+            window.addEventListener('pagehide', function() {
+                sendTimeOnPage();
+                timer.isVisible = false;
+            });
+        }
+
+        // Record user activity - starts a new active stretch after an idle gap
+        function markActive() {
+            const now = Date.now();
+
+            if (engagement.activeSince !== null && now - engagement.lastActivity > config.idleTimeout) {
+                // Previous stretch went idle - close it at the idle cutoff
+                engagement.total += engagement.lastActivity + config.idleTimeout - engagement.activeSince;
+                engagement.activeSince = null;
+            }
+
+            if (engagement.activeSince === null && !document.hidden) {
+                engagement.activeSince = now;
+            }
+            engagement.lastActivity = now;
+        }
+
+        // Close the current active stretch (page hidden / navigated away)
+        function pauseEngagement() {
+            if (engagement.activeSince === null) return;
+
+            const end = Math.min(Date.now(), engagement.lastActivity + config.idleTimeout);
+            engagement.total += Math.max(0, end - engagement.activeSince);
+            engagement.activeSince = null;
+        }
+
+        // New virtual page - engaged time and scroll milestones start over
+        function resetEngagement() {
+            engagement.total       = 0;
+            engagement.activeSince = null;
+            engagement.maxScroll   = 0;
+            engagement.milestones  = [];
+        }
+
+        // Percentage of the document seen so far (bottom of the viewport)
+        function getScrollDepth() {
+            const doc       = document.documentElement;
+            const scrollTop = window.pageYOffset || doc.scrollTop || 0;
+            const height    = Math.max(doc.scrollHeight, document.body ? document.body.scrollHeight : 0);
+            const viewport  = window.innerHeight || doc.clientHeight;
+
+            if (!height || height <= viewport) return 100;
+            return Math.min(100, Math.round((scrollTop + viewport) / height * 100));
+        }
+
+        // Send scroll_depth once per milestone per page
+        function checkScrollDepth() {
+            const depth = getScrollDepth();
+            if (depth > engagement.maxScroll) engagement.maxScroll = depth;
+
+            SCROLL_MILESTONES.forEach(function(milestone) {
+                if (depth < milestone || engagement.milestones.indexOf(milestone) > -1) return;
+
+                engagement.milestones.push(milestone);
+                sendEvent('custom', {
+                    event_name: 'scroll_depth',
+                    event_data: { percent: milestone }
+                });
+            });
+        }
+
+        // Setup engaged-time and scroll-depth tracking
+        function setupEngagementTracking() {
+            markActive();
+
+            ['mousedown', 'mousemove', 'keydown', 'wheel', 'touchstart'].forEach(function(type) {
+                document.addEventListener(type, markActive, { passive: true, capture: true });
+            });
+
+            let scrollPending = false;
+            window.addEventListener('scroll', function() {
+                markActive();
+                if (!config.trackScroll || scrollPending) return;
+
+                // Throttle the layout reads to one per 200ms
+                scrollPending = true;
+                setTimeout(function() {
+                    scrollPending = false;
+                    checkScrollDepth();
+                }, 200);
+            }, { passive: true });
+
+            // Initial viewport already counts towards the max depth
+            engagement.maxScroll = getScrollDepth();
+        }
+
+        // Observe a performance entry type, ignoring browsers that lack it
+        function observe(type, callback, options) {
+            try {
+                const observer = new PerformanceObserver(function(list) {
+                    list.getEntries().forEach(callback);
+                });
+                observer.observe(Object.assign({ type: type, buffered: true }, options || {}));
+            } catch (err) {
+                // Entry type not supported
+            }
+        }
+
+        // CLS - largest session window of shifts (max 1s gap, 5s window)
+        function onLayoutShift(entry) {
+            if (entry.hadRecentInput) return;
+
+            if (vitals.clsWindow && entry.startTime - vitals.clsLast < 1000 && entry.startTime - vitals.clsFirst < 5000) {
+                vitals.clsWindow += entry.value;
+            } else {
+                vitals.clsWindow = entry.value;
+                vitals.clsFirst  = entry.startTime;
+            }
+            vitals.clsLast = entry.startTime;
+            vitals.cls = Math.max(vitals.cls, vitals.clsWindow);
+        }
+
+        // INP - worst interaction, skipping one outlier per 50 interactions
+        function getInp() {
+            const durations = Object.keys(vitals.interactions).map(function(id) {
+                return vitals.interactions[id];
+            }).sort(function(a, b) { return b - a; });
+
+            if (!durations.length) return null;
+            return durations[Math.min(durations.length - 1, Math.floor(durations.length / 50))];
+        }
+
+        // Navigation timing breakdown (ms, relative to navigation start)
+        function getNavigationTiming(nav) {
+            if (!nav) return null;
+
+            return {
+                dns:             Math.round(nav.domainLookupEnd - nav.domainLookupStart),
+                tcp:             Math.round(nav.connectEnd - nav.connectStart),
+                request:         Math.round(nav.responseStart - nav.requestStart),
+                response:        Math.round(nav.responseEnd - nav.responseStart),
+                dom_interactive: Math.round(nav.domInteractive),
+                dom_complete:    Math.round(nav.domComplete),
+                load:            Math.round(nav.loadEventEnd),
+                transfer_size:   nav.transferSize || 0,
+                type:            nav.type
+            };
+        }
+
+        // Send web_vitals once per hard page load
+        function reportVitals() {
+            if (!vitals.sampled || vitals.reported) return;
+            vitals.reported = true;
+
+            const nav   = performance.getEntriesByType ? performance.getEntriesByType('navigation')[0] : null;
+            const round = function(value) { return value == null ? null : Math.round(value); };
+
+            sendEvent('custom', {
+                event_name: 'web_vitals',
+                event_data: {
+                    lcp:         round(vitals.lcp),
+                    fcp:         round(vitals.fcp),
+                    cls:         Math.round(vitals.cls * 1000) / 1000,
+                    inp:         round(getInp()),
+                    ttfb:        nav ? round(nav.responseStart) : null,
+                    navigation:  getNavigationTiming(nav),
+                    sample_rate: config.vitalsSampleRate
+                },
+                url: vitals.url
+            });
+        }
+
+        // Setup Core Web Vitals collection (LCP, CLS, INP, FCP, TTFB)
+        function setupVitalsTracking() {
+            if (typeof PerformanceObserver === 'undefined') return;
+
+            vitals.sampled = Math.random() < config.vitalsSampleRate;
+            if (!vitals.sampled) return;
+
+            vitals.url = window.location.href;
+
+            observe('largest-contentful-paint', function(entry) {
+                vitals.lcp = entry.startTime;
+            });
+
+            observe('paint', function(entry) {
+                if (entry.name === 'first-contentful-paint') vitals.fcp = entry.startTime;
+            });
+
+            observe('layout-shift', onLayoutShift);
+
+            observe('event', function(entry) {
+                if (!entry.interactionId) return;
+                const current = vitals.interactions[entry.interactionId] || 0;
+                vitals.interactions[entry.interactionId] = Math.max(current, entry.duration);
+            }, { durationThreshold: 40 });
+
+            // Report when the page is hidden - the last reliable moment on mobile
+            document.addEventListener('visibilitychange', function() {
+                if (document.hidden) reportVitals();
+            });
+            window.addEventListener('pagehide', reportVitals);
+        }
+
+        // Strip query strings / fragments from a script URL
+        function cleanSource(url) {
+            return url ? String(url).split(/[?#]/)[0] : '';
+        }
+
+        // Normalize a stack trace - trimmed frames, no query strings, max 10 frames
+        function normalizeStack(stack) {
+            if (!stack) return '';
+
+            return String(stack).split('\n')
+                .map(function(line) {
+                    return line.trim().replace(/(https?:\/\/[^\s)?#]+)[?#][^\s):]*/g, '$1');
+                })
+                .filter(function(line) { return line; })
+                .slice(0, 10)
+                .join('\n')
+                .substring(0, 2000);
+        }
+
+        // Fingerprint - message without volatile numbers + first stack frame
+        function getErrorFingerprint(message, stack, source, line) {
+            const frame = stack ? stack.split('\n').filter(function(l) {
+                return /:\d+/.test(l);
+            })[0] || '' : source + ':' + line;
+
+            return hashString(String(message).replace(/\d+/g, 'N') + '|' + frame);
+        }
+
+        // Send a js_error event - deduped by fingerprint and rate limited per page
+        function reportError(kind, message, error, source, line, column) {
+            const stack       = normalizeStack(error && error.stack);
+            const fingerprint = getErrorFingerprint(message, stack, source, line);
+
+            errors.seen[fingerprint] = (errors.seen[fingerprint] || 0) + 1;
+            if (errors.seen[fingerprint] > 1) return;
+
+            if (errors.sent >= config.maxErrorsPerPage) {
+                if (config.debug) console.log('[GeoTrack] Error limit reached, dropping:', message);
+                return;
+            }
+            errors.sent++;
+
+            sendEvent('custom', {
+                event_name: 'js_error',
+                event_data: {
+                    kind:        kind,
+                    message:     String(message || 'Unknown error').substring(0, 500),
+                    stack:       stack,
+                    source:      cleanSource(source),
+                    line:        line || null,
+                    column:      column || null,
+                    fingerprint: fingerprint
+                }
+            });
+        }
+
+        // New virtual page - dedupe and rate limit start over
+        function resetErrors() {
+            errors.seen = {};
+            errors.sent = 0;
+        }
+
+        // Setup window.onerror / unhandledrejection capture
+        function setupErrorTracking() {
+            window.addEventListener('error', function(e) {
+                // Resource load failures (img, script tags) carry no message
+                if (!e.message && !e.error) return;
+                reportError('error', e.message, e.error, e.filename, e.lineno, e.colno);
+            });
+
+            window.addEventListener('unhandledrejection', function(e) {
+                const reason  = e.reason;
+                const message = reason && reason.message ? reason.message : String(reason);
+                reportError('unhandledrejection', message, reason instanceof Error ? reason : null);
+            });
+        }
+
+        // Impressions - data-geotrack-impression elements at least 50% visible
+        // for config.impressionDwell ms, once per element name per pageview
+        const impressions = {
+            observer: null,
+            observed: new WeakSet(),
+            timers:   new Map(),
+            seen:     {}
+        };
+
+        // Name of the impression element around `el` - clicks inside it carry
+        // the same `element` key so the dashboard can compute CTR
+        function getImpressionName(el) {
+            const element = el && el.closest ? el.closest('[data-geotrack-impression]') : null;
+            return element ? element.getAttribute('data-geotrack-impression') : null;
+        }
+
+        function withElement(eventData, el) {
+            const name = getImpressionName(el);
+            if (name) eventData.element = name;
+            return eventData;
+        }
+
+        function reportImpression(element) {
+            const name = element.getAttribute('data-geotrack-impression');
+            if (!name || impressions.seen[name]) return;
+            impressions.seen[name] = true;
+
+            sendEvent('custom', {
+                event_name: 'impression',
+                event_data: Object.assign(getDataProps(element), {
+                    element:  name,
+                    dwell_ms: config.impressionDwell
+                })
+            });
+        }
+
+        function onIntersection(entries) {
+            entries.forEach(function(entry) {
+                const element = entry.target;
+                const timer   = impressions.timers.get(element);
+
+                if (entry.isIntersecting && entry.intersectionRatio >= 0.5) {
+                    if (timer || document.hidden) return;
+                    impressions.timers.set(element, setTimeout(function() {
+                        impressions.timers.delete(element);
+                        reportImpression(element);
+                    }, config.impressionDwell));
+                } else if (timer) {
+                    clearTimeout(timer);
+                    impressions.timers.delete(element);
+                }
+            });
+        }
+
+        function clearImpressionTimers() {
+            impressions.timers.forEach(function(timer) {
+                clearTimeout(timer);
+            });
+            impressions.timers.clear();
+        }
+
+        // force re-observes everything, so visible elements report again
+        function scanImpressions(force) {
+            const elements = document.querySelectorAll('[data-geotrack-impression]');
+            Array.prototype.forEach.call(elements, function(element) {
+                if (impressions.observed.has(element) && !force) return;
+                if (impressions.seen[element.getAttribute('data-geotrack-impression')]) return;
+
+                impressions.observer.unobserve(element);
+                impressions.observer.observe(element);
+                impressions.observed.add(element);
+            });
+        }
+
+        // New virtual page - every element can make a fresh impression
+        function resetImpressions() {
+            if (!impressions.observer) return;
+            clearImpressionTimers();
+            impressions.seen = {};
+            scanImpressions(true);
+        }
+
+        // Setup impression tracking - picks up elements added later too
+        function setupImpressionTracking() {
+            if (typeof IntersectionObserver === 'undefined') return;
+
+            impressions.observer = new IntersectionObserver(onIntersection, { threshold: 0.5 });
+            scanImpressions(false);
+
+            if (typeof MutationObserver !== 'undefined' && document.body) {
+                let scanPending = false;
+                new MutationObserver(function() {
+                    if (scanPending) return;
+                    scanPending = true;
+                    setTimeout(function() {
+                        scanPending = false;
+                        scanImpressions(false);
+                    }, 200);
+                }).observe(document.body, { childList: true, subtree: true });
+            }
+
+            // Time in a background tab doesn't count - restart the dwell clock on return
+            document.addEventListener('visibilitychange', function() {
+                clearImpressionTimers();
+                if (!document.hidden) scanImpressions(true);
+            });
+        }
+
+        // Heatmaps - click positions on pages that opt in with
+        // data-heatmap-pages="/pricing,/docs/*" or data-geotrack-heatmap on <html>/<body>
+        const MAX_HEATMAP_CLICKS = 100;
+
+        const heatmap = {
+            pageKey: undefined,
+            sampled: false,
+            sent:    0
+        };
+
+        function isHeatmapPage() {
+            const root = document.documentElement;
+            if ((root && root.hasAttribute('data-geotrack-heatmap')) ||
+                (document.body && document.body.hasAttribute('data-geotrack-heatmap'))) {
+                return true;
+            }
+
+            const path = window.location.pathname;
+            return config.heatmapPages.some(function(pattern) {
+                return pattern.slice(-1) === '*' ? path.indexOf(pattern.slice(0, -1)) === 0 : path === pattern;
+            });
+        }
+
+        // Sampled once per (virtual) page, so a page's clicks are all in or all out
+        function isHeatmapSampled() {
+            if (heatmap.pageKey !== page.key) {
+                heatmap.pageKey = page.key;
+                heatmap.sampled = Math.random() < config.heatmapSampleRate;
+                heatmap.sent    = 0;
+            }
+            return heatmap.sampled && heatmap.sent < MAX_HEATMAP_CLICKS;
+        }
+
+        // Short CSS path - stops at the nearest id, at most 5 levels deep
+        function getSelector(el) {
+            const parts = [];
+            while (el && el.nodeType === 1 && parts.length < 5) {
+                if (el.id) {
+                    parts.unshift('#' + (window.CSS && CSS.escape ? CSS.escape(el.id) : el.id));
+                    break;
+                }
+
+                let part = el.tagName.toLowerCase();
+                const parent = el.parentElement;
+                if (parent) {
+                    const siblings = Array.prototype.filter.call(parent.children, function(child) {
+                        return child.tagName === el.tagName;
+                    });
+                    if (siblings.length > 1) part += ':nth-of-type(' + (siblings.indexOf(el) + 1) + ')';
+                }
+                parts.unshift(part);
+
+                if (el === document.body) break;
+                el = parent;
+            }
+            return parts.join(' > ');
+        }
+
+        function reportHeatmapClick(e) {
+            // Keyboard "clicks" have no position, synthetic ones aren't visitors
+            if (!e.isTrusted || e.detail === 0) return;
+            if (e.target && e.target.closest && e.target.closest('[data-geotrack-ignore]')) return;
+            if (!isHeatmapPage() || !isHeatmapSampled()) return;
+
+            const root   = document.documentElement;
+            const width  = Math.max(root.scrollWidth, document.body ? document.body.scrollWidth : 0);
+            const height = Math.max(root.scrollHeight, document.body ? document.body.scrollHeight : 0);
+            if (!width || !height) return;
+
+            heatmap.sent++;
+            sendEvent('click', {
+                event_name: 'heatmap_click',
+                event_data: {
+                    x:              Math.round(e.pageX / width * 10000) / 10000,
+                    y:              Math.round(e.pageY / height * 10000) / 10000,
+                    selector:       getSelector(e.target),
+                    page_width:     width,
+                    page_height:    height,
+                    viewport_width: window.innerWidth
+                }
+            });
+        }
+
+        function setupHeatmapTracking() {
+            document.addEventListener('click', reportHeatmapClick, { passive: true, capture: true });
+        }
+
+        // Handle a SPA route change - one pageview per real URL change
+        function handleRouteChange() {
+            if (getRouteKey() === page.key) return;
+
+            // Close out the previous virtual page
+            const previousUrl = page.url;
+            sendTimeOnPage(previousUrl, page.title);
+            reportVitals();
+
+            page.referrer = previousUrl;
+            resetEngagement();
+            resetErrors();
+            captureTouch(false);
+            trackPageview();
+            resetImpressions();
+            restartTimer();
+        }
+
+        // Setup SPA route tracking (pushState/replaceState, popstate, hashchange)
+        function setupSpaTracking() {
+            // Deferred so routers can update document.title first
+            function onRouteChange() {
+                setTimeout(handleRouteChange, 0);
+            }
+
+            ['pushState', 'replaceState'].forEach(function(method) {
+                const original = history[method];
+                if (typeof original !== 'function') return;
+
+                history[method] = function() {
+                    const result = original.apply(this, arguments);
+                    onRouteChange();
+                    return result;
+                };
+            });
+
+            window.addEventListener('popstate', onRouteChange);
+
+            if (config.spa === 'hash') {
+                window.addEventListener('hashchange', onRouteChange);
+            }
+        }
+
+        // ✅ Public API
+        const api = {
+            name:          name,
+            track:         track,
+            trackPageview: trackPageview,
+            consent:       setConsent,
+            getSession:    getSession,
+            identify:      identify,
+            reset:         reset,
+            use:           use,
+            experiment:    experiment,
+            linkUrl:       linkUrl,
+            ecommerce: {
+                viewItem:      viewItem,
+                addToCart:     addToCart,
+                beginCheckout: beginCheckout,
+                purchase:      purchase
+            },
+            config:        config
+        };
+
+        whenReady(init);
+        return api;
+    }
+
+    // ============================================
+    // LOADER - geotrack() command queue, named instances
+    // ============================================
+
+    function whenReady(callback) {
+        if (isReady) callback();
+        else readyCallbacks.push(callback);
+    }
+
+    // geotrack('create', { siteKey, apiUrl, ... }) - options use the camelCased
+    // data-* attribute names, so they go through the same init() parsing
+    function optionsSource(options) {
+        function key(attribute) {
+            return attribute.replace(/^data-/, '').replace(/-([a-z])/g, function(match, letter) {
+                return letter.toUpperCase();
+            });
+        }
+
+        return {
+            getAttribute: function(attribute) {
+                const value = options[key(attribute)];
+                if (value === undefined || value === null) return null;
+                return Array.isArray(value) ? value.join(',') : String(value);
+            },
+            hasAttribute: function(attribute) {
+                const value = options[key(attribute)];
+                return value !== undefined && value !== null && value !== false;
+            }
+        };
+    }
+
+    function createInstance(options) {
+        const name = options.name || 'default';
+        if (instances[name]) {
+            console.warn('[GeoTrack] Tracker "' + name + '" already exists');
+            return instances[name];
+        }
+
+        instances[name] = createTracker(name, optionsSource(options));
+        if (name === 'default') window.GeoTrack = instances[name];
+        return instances[name];
+    }
+
+    // Public: geotrack('track', 'signup') or geotrack('checkout.track', 'signup')
+    function command(action) {
+        if (!isReady) {
+            commandQueue.push(arguments);
+            return undefined;
+        }
+
+        const args = Array.prototype.slice.call(arguments, 1);
+        if (action === 'create') return createInstance(args[0] || {});
+
+        // 'shop.ecommerce.purchase' -> tracker 'shop', method ecommerce.purchase
+        const path    = String(action).split('.');
+        const name    = path.length > 1 && instances[path[0]] ? path.shift() : 'default';
+        const tracker = instances[name];
+
+        if (!tracker) {
+            console.error('[GeoTrack] Unknown tracker "' + name + '"');
+            return undefined;
+        }
+
+        const method = path.pop();
+        const target = path.reduce(function(obj, key) {
+            return obj && obj[key];
+        }, tracker);
+        if (!target || typeof target[method] !== 'function') {
+            console.error('[GeoTrack] Unknown command "' + action + '"');
+            return undefined;
+        }
+        return target[method].apply(target, args);
+    }
+
+    // Init every tracker, then replay the stub's queue in order
+    function boot() {
+        isReady = true;
+        readyCallbacks.splice(0).forEach(function(callback) {
+            callback();
+        });
+
+        commandQueue.splice(0).forEach(function(args) {
+            try {
+                command.apply(null, args);
+            } catch (err) {
+                console.error('[GeoTrack] ❌ Queued command failed:', args[0], err);
+            }
+        });
+    }
+
+    function isDefaultCreate(args) {
+        return args[0] === 'create' && !(args[1] && args[1].name && args[1].name !== 'default');
+    }
+
+    window.geotrack = command;
+
+    // The script tag is the default tracker unless the queue creates one. A tag
+    // without a site key (a page with only named trackers) gets no default.
+    const defaultScript = currentScript || document.querySelector('script[data-site-key]');
+    if (!commandQueue.some(isDefaultCreate) && defaultScript && defaultScript.getAttribute('data-site-key')) {
+        instances.default = createTracker('default', null);
+        window.GeoTrack = instances.default;
+    }
 
     // Auto-initialize
     if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', init);
+        document.addEventListener('DOMContentLoaded', boot);
     } else {
-        init();
+        boot();
     }
 
-})();
\ No newline at end of file
+})();